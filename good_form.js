@@ -39,6 +39,7 @@
  *
  *   Validates.Capitalized = function () {
  *       var v = new GoodForm.Validation(arguments);
+ *       v.type = "Capitalized"; // For GoodForm.exportRules
  *       v.validate = function (value) {
  *           if (value[0] != value[0].toUpperCase())
  *               return v.message || "must be capitalized";
@@ -62,6 +63,13 @@ var GoodForm = {
      *
      *   Validates.Presence("login", "email");
      *   GoodForm.local["login"][0] == GoodForm.local["email"][0]; // true
+     *
+     * Names may hold a wildcard index, "[*]", to cover rows added to a form
+     * later on, such as those of Rails' nested attributes. A wildcard stands
+     * for any one index (see GoodForm.Helpers.expandName):
+     *
+     *   Validates.Presence("user[addresses_attributes][*][street]");
+     *   Validate("user[addresses_attributes][3][street]"); // false
      */
     local: {},
 
@@ -72,7 +80,26 @@ var GoodForm = {
 
     /*
      * Stores the default error messages at various nodes. Add to or modify the
-     * object for global changes.
+     * object for global changes. This is also the English ("en") catalog of
+     * GoodForm.locales, and the fallback for messages missing from others.
+     *
+     * Messages are interpolated with %{count} (the length or number a value
+     * is checked against), %{value} and %{attribute} (see
+     * GoodForm.humanAttributeName). The older %d and %s stand in for %{count}
+     * and %{value}. A message may also be an object of plural forms (see
+     * GoodForm.pluralRules):
+     *
+     *   GoodForm.defaultErrorMessages.tooShort = {
+     *       one: "needs at least one character",
+     *       other: "needs at least %{count} characters"
+     *   };
+     *
+     * The plural forms of the messages here that are strings are kept in
+     * GoodForm.pluralMessages.
+     *
+     * The +format+ node is the template for full messages (see
+     * GoodForm.fullMessage), and the +summary+ node the heading of an error
+     * summary (see GoodForm.Summary).
      */
     defaultErrorMessages: {
         inclusion: "is not included in the list",
@@ -87,13 +114,270 @@ var GoodForm = {
         wrongLength: "is the wrong length (should be %d characters)",
         taken: "has already been taken",
         notANumber: "is not a number",
+        notAnInteger: "must be an integer",
         greaterThan: "must be greater than %d",
         greaterThanOrEqualTo: "must be greater than or equal to %d",
         equalTo: "must be equal to %d",
         lessThan: "must be less than %d",
         lessThanOrEqualTo: "must be less than or equal to %d",
+        otherThan: "must be other than %{count}",
+        notInRange: "must be between %{minimum} and %{maximum}",
+        tooManyDigits: {
+            one: "must have at most 1 digit",
+            other: "must have at most %{count} digits"
+        },
+        tooManyDecimals: {
+            one: "must have at most 1 decimal place",
+            other: "must have at most %{count} decimal places"
+        },
         odd: "must be odd",
-        even: "must be even"
+        even: "must be even",
+        unavailable: "couldn't be checked, please try again",
+        invalidEmail: "is not a valid email address",
+        invalidUrl: "is not a valid URL",
+        invalidPhone: "is not a valid phone number",
+        fileTooLarge: "is too large (maximum is %{size})",
+        fileTooSmall: "is too small (minimum is %{size})",
+        fileType: "is not an allowed file type",
+        fileExtension: "must have one of these extensions: %{extensions}",
+        tooManyFiles: {
+            one: "can't have more than 1 file",
+            other: "can't have more than %{count} files"
+        },
+        tooFewFiles: {
+            one: "must have at least 1 file",
+            other: "must have at least %{count} files"
+        },
+        weakPassword: "is too weak",
+        invalidDate: "is not a valid date",
+        invalidTime: "is not a valid time",
+        before: "must be before %{restriction}",
+        after: "must be after %{restriction}",
+        onOrBefore: "must be on or before %{restriction}",
+        onOrAfter: "must be on or after %{restriction}",
+        format: "%{attribute} %{message}",
+        summary: {
+            one: "1 error prohibited this form from being saved:",
+            other: "%{count} errors prohibited this form from being saved:"
+        }
+    },
+
+    /*
+     * Plural forms of the GoodForm.defaultErrorMessages that are strings, by
+     * key. They are used while the message in use is still the +other+ form,
+     * so a message changed in GoodForm.defaultErrorMessages is used as is.
+     */
+    pluralMessages: {
+        tooLong: {
+            one: "is too long (maximum is 1 character)",
+            other: "is too long (maximum is %d characters)"
+        },
+        tooShort: {
+            one: "is too short (minimum is 1 character)",
+            other: "is too short (minimum is %d characters)"
+        },
+        wrongLength: {
+            one: "is the wrong length (should be 1 character)",
+            other: "is the wrong length (should be %d characters)"
+        }
+    },
+
+    /*
+     * The name of the catalog in GoodForm.locales to take error messages from
+     * (default: "en").
+     *
+     *   GoodForm.locales.de = {
+     *       blank: "muss ausgefüllt werden",
+     *       tooShort: { one: "ist zu kurz (mindestens 1 Zeichen)",
+     *                   other: "ist zu kurz (mindestens %{count} Zeichen)" },
+     *       format: "%{attribute} %{message}"
+     *   };
+     *   GoodForm.locale = "de";
+     *
+     * Messages are looked up as validations run, so the locale can change
+     * after validations are defined. Messages missing from a catalog fall
+     * back to GoodForm.defaultErrorMessages.
+     */
+    locale: "en",
+
+    /*
+     * Error message catalogs, by locale. Each takes the form of
+     * GoodForm.defaultErrorMessages, which is the "en" catalog.
+     */
+    locales: {},
+
+    /*
+     * Functions that pick a plural form ("zero", "one", "few", "many" or
+     * "other") for a count, by locale. Locales without a rule use "en".
+     *
+     *   GoodForm.pluralRules.fr = function (count) {
+     *       return count < 2 ? "one" : "other";
+     *   };
+     */
+    pluralRules: {
+        en: function (count) { return count == 1 ? "one" : "other"; }
+    },
+
+    /*
+     * Patterns that Validates.Date and Validates.Time read values in, by
+     * locale, with the first one used to show dates and times in messages.
+     * The +iso+ patterns (those of <input type="date"/> and
+     * <input type="time"/>) are always read as well. Locales without
+     * patterns use "en".
+     *
+     * Patterns are made of %Y (year), %m (month), %d (day), %H (hour),
+     * %I (hour on a 12-hour clock), %M (minute), %S (second) and %p (AM or
+     * PM). Spaces match any (or no) whitespace.
+     *
+     *   GoodForm.dateFormats.de = { date: ["%d.%m.%Y"], time: ["%H:%M"] };
+     */
+    dateFormats: {
+        iso: { date: ["%Y-%m-%d"], time: ["%H:%M", "%H:%M:%S"] },
+        en: { date: ["%m/%d/%Y"], time: ["%I:%M %p", "%I:%M:%S %p"] }
+    },
+
+    /*
+     * The decimal +separator+ and thousands +delimiter+ that
+     * Validates.Numericality reads numbers with, by locale. Locales without
+     * them use "en".
+     *
+     *   GoodForm.numberFormats.de = { separator: ",", delimiter: "." };
+     */
+    numberFormats: {
+        en: { separator: ".", delimiter: "," }
+    },
+
+    /*
+     * Passwords too common to count toward Validates.PasswordStrength. Add
+     * to the list for every password validation on a page, or use the
+     * +blacklist+ option for one.
+     */
+    commonPasswords: ["password", "passw0rd", "123456", "qwerty", "letmein", "welcome",
+                      "admin", "iloveyou", "monkey", "dragon", "football", "baseball",
+                      "sunshine", "princess", "trustno1", "master", "secret", "abc123"],
+
+    /*
+     * Human attribute names for full messages and %{attribute}, by form
+     * element name. Names not found here are taken from the text of the
+     * element's <label for/>, or humanized from the element name.
+     *
+     *   GoodForm.attributeNames["user[email]"] = "E-mail address";
+     *   GoodForm.attributeNames["user[addresses_attributes][*][street]"] = "Street";
+     */
+    attributeNames: {},
+
+    /*
+     * Set to true to show full messages ("Email can't be blank") in place of
+     * bare messages ("can't be blank") in validation spans.
+     */
+    fullMessages: false,
+
+    /*
+     * Returns the error message for a key in the current locale,
+     * interpolated with the given values.
+     *
+     *   GoodForm.translate("tooShort", { count: 6 }); // "is too short (minimum is 6 characters)"
+     */
+    translate: function (key, values) {
+        var catalog = GoodForm.locales[GoodForm.locale] || {};
+        var message = catalog[key] != undefined ? catalog[key] : GoodForm.defaultErrorMessages[key];
+        var plural = GoodForm.pluralMessages[key];
+        if (plural && message == plural.other) message = plural;
+        return GoodForm.Helpers.interpolate(message, values);
+    },
+
+    /*
+     * Returns the human name of a form element, as used in full messages:
+     * from GoodForm.attributeNames, the element's label, or its name.
+     *
+     *   GoodForm.humanAttributeName("user[email_address]"); // "Email address"
+     */
+    humanAttributeName: function (name) {
+        var names = GoodForm.Helpers.forName(GoodForm.attributeNames, name);
+        if (names.length)
+            return names[0];
+
+        var el = GoodForm.Helpers.getElementsByName(name)[0];
+        if (el && el.id) {
+            var labels = document.getElementsByTagName("label");
+            for (var i = 0, label; label = labels[i]; ++i)
+                if (label.htmlFor == el.id) {
+                    var text = (label.textContent || label.innerText || "")
+                        .replace(/^\s+|[\s:*]+$/g, "");
+                    if (text) return text;
+                }
+        }
+
+        var parts = name.replace(/\]/g, "").split("[");
+        for (var i = parts.length - 1; i > 0 && !parts[i]; --i);
+        var human = parts[i].replace(/_id$/, "").replace(/_+/g, " ").replace(/^\s+|\s+$/g, "");
+        return human.charAt(0).toUpperCase() + human.slice(1);
+    },
+
+    /*
+     * Returns a full message for a form element, e.g. "Email can't be blank",
+     * using the +format+ message of the current locale.
+     *
+     *   GoodForm.fullMessage("email", "can't be blank"); // "Email can't be blank"
+     */
+    fullMessage: function (name, message) {
+        return GoodForm.translate("format", {
+            attribute: GoodForm.humanAttributeName(name), message: message });
+    },
+
+    /*
+     * The errors each form element name shows, kept up to date as
+     * validation responses are applied. Modeled on Active Record's errors:
+     *
+     *   Validates.Presence("email");
+     *   Validate.All();
+     *   GoodForm.errors.on("email");    // ["can't be blank"]
+     *   GoodForm.errors.on("login");    // null
+     *   GoodForm.errors.count();        // 1
+     *   GoodForm.errors.fullMessages(); // ["Email can't be blank"]
+     *   GoodForm.errors.each(function (name, message) { ... });
+     *
+     * Where Active Record returns a single error as a string, GoodForm.errors
+     * always returns an array. Registries have their own (signup.errors).
+     */
+    errors: {
+        /*
+         * Returns the error messages of a form element name, or null if it
+         * has none.
+         */
+        on: function (name) {
+            var errors = GoodForm.Validate.errors[GoodForm.Helpers.extractName(name)];
+            return errors ? [].concat(errors) : null;
+        },
+
+        /*
+         * Returns the full message of every error, e.g. "Email can't be blank".
+         */
+        fullMessages: function () {
+            var messages = [];
+            GoodForm.errors.each(function (name, message) {
+                messages.push(GoodForm.fullMessage(name, message));
+            });
+            return messages;
+        },
+
+        /*
+         * Returns the number of errors.
+         */
+        count: function () {
+            var count = 0;
+            GoodForm.errors.each(function () { count++; });
+            return count;
+        },
+
+        /*
+         * Calls a function with the name and message of every error.
+         */
+        each: function (fn) {
+            for (var name in GoodForm.Validate.errors)
+                for (var i = 0, errors = GoodForm.Validate.errors[name]; i < errors.length; ++i)
+                    fn(name, errors[i]);
+        }
     },
 
     /*
@@ -116,6 +400,38 @@ var GoodForm = {
      */
     remotePath: "/validate",
 
+    /*
+     * Configures the Ajax validation request sent to GoodForm.remotePath.
+     *
+     *   GoodForm.transport.method = "POST";
+     *   GoodForm.transport.headers["X-Api-Version"] = "2";
+     *
+     * Configuration options:
+     *
+     * - +method+ - "GET" sends parameters in a query string, "POST" in the
+     *   request body (default is: "GET")
+     * - +encoding+ - The body encoding of a "POST", "form" or "json"
+     *   (default is: "form")
+     * - +headers+ - Additional request headers, by name
+     * - +csrf+ - Sends the token from a <meta name="csrf-token"/> element,
+     *   as Rails renders it, in an X-CSRF-Token header (default is: true)
+     * - +send+ - A function to send the request in place of XMLHttpRequest.
+     *   It is called with a request object ({ method, url, headers, body })
+     *   and a function to call with the response status and text once the
+     *   request completes.
+     *
+     * Responses must be valid JSON. Failed requests and unparsable responses
+     * run the remoteError callbacks (see GoodForm.on), then mark each name
+     * with the "unavailable" error message unless a callback returned false.
+     */
+    transport: {
+        method: "GET",
+        encoding: "form",
+        headers: {},
+        csrf: true,
+        send: null
+    },
+
     /*
      * Between the request and response of the Ajax cycle, the span that shows
      * the validation message is given the className "loading"; it can also be
@@ -124,637 +440,2973 @@ var GoodForm = {
     loadingMessage: "",
 
     /*
-     * The Validation object. Will work given a custom validation() function
-     * defined to return an error message or null.
+     * References all callbacks registered with GoodForm.on, by event, then by
+     * form element name. Callbacks for every name are stored under "*".
+     */
+    callbacks: {},
+
+    /*
+     * Registers a callback to be run during validation, either globally or
+     * for a single form element name.
      *
-     *   var v = new GoodForm.Validation(["field"]);
-     *   v.validate = function () { return "is always invalid" };
-     *   Validate("field"); // false
-     *   GoodForm.Validate.response["field"]; // ["is always invalid"];
+     *   GoodForm.on("invalid", function (name, response) {
+     *       document.getElementById("commit").disabled = true;
+     *   });
+     *   GoodForm.on("beforeValidate", "login", function (name, value) {
+     *       return value != "guest"; // Returning false skips validation.
+     *   });
+     *
+     * Events:
+     *
+     * - +beforeValidate+ - Called with (name, value) before a name is queued
+     *   for validation. Return false to skip its validations.
+     * - +afterValidate+ - Called with (name, response, silent) whenever a
+     *   response is applied, local or remote; +silent+ is true if it is not
+     *   shown (see the +silent+ option of Validate()).
+     * - +valid+ - Called with (name, response) after a valid response.
+     * - +invalid+ - Called with (name, response) after an invalid response.
+     * - +remoteStart+ - Called with (name, value) for each queued name as an
+     *   Ajax validation is sent.
+     * - +remoteComplete+ - Called with (name, response) for each name in the
+     *   Ajax response.
+     * - +remoteError+ - Called with (name, error) for each queued name when
+     *   the Ajax request fails or its response can't be parsed. Return false
+     *   to leave the name without a response.
+     * - +reset+ - Called with (name) when a name's effects are cleared (see
+     *   GoodForm.clearEffects).
      */
-    Validation: function (args, defaultMessage, remote) {
-        args = [].splice.call(args, 0); // Convert Arguments objects
-        var options = GoodForm.Helpers.extractOptions(args);
+    on: function (event, name, callback) {
+        if (!callback) callback = name, name = "*";
+        name = GoodForm.Helpers.extractName(name);
+        var callbacks = GoodForm.callbacks[event] || (GoodForm.callbacks[event] = {});
+        (callbacks[name] || (callbacks[name] = [])).push(callback);
+        return callback;
+    },
 
-        // Apply options to Validation object
-        for (var name in options) this[name] = options[name];
+    /*
+     * Removes a callback registered with GoodForm.on. Without a callback,
+     * removes every callback for the event and name.
+     *
+     *   GoodForm.off("invalid", disableCommit);
+     *   GoodForm.off("beforeValidate", "login");
+     */
+    off: function (event, name, callback) {
+        if (name && name.constructor == Function) callback = name, name = "*";
+        name = GoodForm.Helpers.extractName(name || "*");
+        var callbacks = (GoodForm.callbacks[event] || {})[name];
+        if (!callbacks) return;
+        for (var i = callbacks.length - 1; i >= 0; --i)
+            if (!callback || callbacks[i] == callback)
+                callbacks.splice(i, 1);
+    },
+
+    /*
+     * Registers validations declared in data attributes on the form elements
+     * within root (an element or ID; default: the document), so templates
+     * can declare their rules inline. Throws if no root element is found.
+     *
+     *   <input name="login" data-validates-presence=""
+     *          data-validates-length-maximum="32"
+     *          data-validates-length-allow-blank="true"/>
+     *   <input name="zip" data-validates-format-with="^\d{5}$"/>
+     *   <input name="email" data-validates-ajax=""/>
+     *
+     *   GoodForm.scan(document.getElementById("signup"));
+     *
+     * is the same as:
+     *
+     *   Validates.Presence("login");
+     *   Validates.Length("login", { maximum: 32, allowBlank: true });
+     *   Validates.Format("zip", { "with": /^\d{5}$/ });
+     *   Validates.Ajax("email");
+     *
+     * Attribute names are "data-validates-", the dasherized validation name,
+     * and an optional dasherized option name. Values of "true" and "false"
+     * become booleans, numeric values become numbers, +with+ becomes a
+     * regular expression (a "/pattern/flags" value may supply flags) and
+     * +in+, +within+ and +include+ are split on commas into strings (ranges
+     * still compare as numbers).
+     *
+     * Scanning an element again replaces the validations scanned from it
+     * before, so a form can be scanned again after its markup changes.
+     */
+    scan: function (root) {
+        if (root == undefined)
+            root = document;
+        else if (!(root = GoodForm.Helpers.extractElement(root)))
+            throw new Error("GoodForm: no element to scan"); // Not the whole page
+        var validators = [];
+        for (var type in GoodForm.Validates)
+            validators.push([type.replace(/([a-z])([A-Z])/g, "$1-$2").toLowerCase(), type]);
+        validators.sort(function (a, b) { return b[0].length - a[0].length; });
 
-        // Handle error message override
-        if (defaultMessage && this.message == undefined)
-            this.message = GoodForm.defaultErrorMessages[defaultMessage];
+        var tags = ["input", "select", "textarea"];
+        for (var t = 0; t < tags.length; ++t) {
+            var els = root.getElementsByTagName(tags[t]);
+            for (var i = 0, el; el = els[i]; ++i) {
+                if (!el.name) continue;
 
-        var type = remote ? "remote" : "local";
-        // Register validation
-        for (var i = 0; name = args[i]; ++i) {
-            name = GoodForm.Helpers.extractName(name);
-            if (!GoodForm[type][name]) GoodForm[type][name] = [];
-            GoodForm[type][name].push(this);
+                var rules = {}, order = [];
+                for (var j = 0, attr; attr = el.attributes[j]; ++j) {
+                    var match = /^data-validates-(.+)$/.exec(attr.name);
+                    if (!match) continue;
+                    for (var k = 0, validator; validator = validators[k]; ++k) {
+                        var rest = match[1], dasherized = validator[0];
+                        if (rest != dasherized && rest.indexOf(dasherized + "-") != 0)
+                            continue;
+                        var type = validator[1];
+                        if (!rules[type]) rules[type] = {}, order.push(type);
+                        if (rest != dasherized) {
+                            var option = rest.slice(dasherized.length + 1).replace(/-([a-z])/g,
+                                function (m, letter) { return letter.toUpperCase(); });
+                            rules[type][option] = GoodForm.Helpers.parseAttribute(option, attr.value);
+                        }
+                        break;
+                    }
+                }
+                // Validations register under any name (Confirmation under
+                // "<name>_confirmation"), so every name is compared
+                var scanned = el.goodFormScanned || [], counts = {}, types = ["local", "remote"];
+                for (var k = 0, len = scanned.length; k < len; ++k)
+                    GoodForm.unregister(scanned[k][0], scanned[k][1]);
+                for (var k = 0; type = types[k]; ++k) {
+                    counts[type] = {};
+                    for (var name in GoodForm[type])
+                        counts[type][name] = GoodForm[type][name].length;
+                }
+                for (var k = 0; type = order[k]; ++k)
+                    GoodForm.Validates[type](el.name, rules[type]);
+                scanned = [];
+                for (var k = 0; type = types[k]; ++k)
+                    for (var name in GoodForm[type])
+                        for (var n = counts[type][name] || 0, v; v = GoodForm[type][name][n]; ++n)
+                            scanned.push([name, v]);
+                el.goodFormScanned = scanned; // Replaced when scanned again
+            }
         }
     },
 
     /*
-     * GoodForm.Validates is the preferred namespace for named validations.
+     * References every registry created with GoodForm.form.
      */
-    Validates: {
+    registries: [],
+
+    /*
+     * References the registry in use while one of its functions runs, or
+     * null for the default, global registry.
+     */
+    registry: null,
+
+    /*
+     * Returns the validation registry for a form (an element or ID), creating
+     * it if it does not exist. A registry keeps its own validations,
+     * responses and validation span names, so forms that share element names
+     * don't share rules:
+     *
+     *   var signup = GoodForm.form("signup"), invite = GoodForm.form("invite");
+     *   signup.Validates.Presence("email");
+     *   invite.Validates.Format("email", { "with": /@/ });
+     *   signup.Validate("email");    // Shows "signup_email_validation"
+     *   signup.Validate.All();
+     *   signup.Validate.response;    // { email: "can't be blank" }
+     *   signup.local.email;          // [Validation object]
+     *
+     * GoodForm.local, GoodForm.remote and GoodForm.Validate remain the
+     * default registry, shared by every form.
+     */
+    form: function (form) {
+        form = GoodForm.Helpers.extractElement(form);
+        return GoodForm.Helpers.findRegistry(form)
+            || GoodForm.registries[GoodForm.registries.push(new GoodForm.Registry(form)) - 1];
+    },
+
+    /*
+     * The registry object returned by GoodForm.form. Its Validates and
+     * Validate functions run the global ones with the registry in place of
+     * GoodForm.local, GoodForm.remote and the GoodForm.Validate state.
+     *
+     * NOTE: Validates functions are copied when the registry is created;
+     * define custom validations before calling GoodForm.form.
+     *
+     * A registry can also be created without a form, to validate plain
+     * objects (see GoodForm.validateObject):
+     *
+     *   var rules = new GoodForm.Registry();
+     */
+    Registry: function (form) {
+        var registry = this;
+        var state = ["queue", "response", "pending", "sequence", "waiting", "inflight", "cache", "errors"];
+
+        this.form = form;
+        this.prefix = GoodForm.Helpers.underscore(form && (form.id || form.name)
+            || "form_" + GoodForm.registries.length);
+        this.local = {};
+        this.remote = {};
+
         /*
-         * Encapsulates the pattern of wanting to validate the acceptance of a
-         * terms of service check box (or similar agreement). Example:
-         *
-         *   Validates.Acceptance("terms_of_service");
-         *   Validates.Acceptance("eula", { message: "must be abided" });
-         *
-         * Configuration options:
-         *
-         * - +message+ - A custom error message (default is: "must be
-         *   accepted")
-         * - +allowNull+ - Skip validation if attribute is null (default is
-         *   true).
-         * - +accept+ - Specifies value that is considered accepted. The
-         *   default
-         *   value is a string "1", which makes it easy to relate to an HTML
-         *   checkbox.
+         * Runs a function with this registry in use.
          */
-        Acceptance: function () {
-            var v = new GoodForm.Validation(arguments, "accepted");
-            if (!v.accept) v.accept = "1";
-            v.validate = function (value) {
-                if (value != v.accept)
-                    return v.message;
+        this.run = function (fn, args) {
+            var saved = { registry: GoodForm.registry, local: GoodForm.local, remote: GoodForm.remote };
+            for (var i = 0, key; key = state[i]; ++i)
+                saved[key] = GoodForm.Validate[key], GoodForm.Validate[key] = registry.Validate[key];
+            GoodForm.registry = registry, GoodForm.local = registry.local, GoodForm.remote = registry.remote;
+            try {
+                return fn.apply(GoodForm, args || []);
+            } finally {
+                registry.local = GoodForm.local, registry.remote = GoodForm.remote;
+                for (var i = 0, key; key = state[i]; ++i)
+                    registry.Validate[key] = GoodForm.Validate[key], GoodForm.Validate[key] = saved[key];
+                GoodForm.registry = saved.registry, GoodForm.local = saved.local, GoodForm.remote = saved.remote;
             }
-        },
+        };
 
         /*
-         * Encapsulates the pattern of wanting to validate a password or email
-         * address field with a confirmation. Example:
-         *
-         *   Fields:
-         *     <input id="email" name="email" type="text"/>
-         *     <input id="email_confirmation" name="email_confirmation" type="text"/>
-         *     <input id="password" name="password" type="password"/>
-         *     <input id="password_confirmation" name="password_confirmation" type="password"/>
-         *
-         *   JavaScript:
-         *     Validates.Confirmation("email");
-         *     Validates.Confirmation("password", { message: "should match password" });
-         *
-         * NOTE: This check is performed only if the confirmation is not null.
-         * To require confirmation, make sure to add a presence check for
-         * confirmation attributes:
-         *
-         *   Validates.Presence("email_confirmation", "password_confirmation");
-         *
-         * Configuration options:
-         *
-         * - +message+ - A custom error message (default is: "doesn't match")
-         *
-         * ALSO NOTE: This validation differs from its Active Record
-         * counterpart. Where Active Record validates the password against the
-         * confirmation, GoodForm validates the confirmation against the
-         * password:
-         *
-         *   Validates.Confirmation("password");
-         *   document.getElementById("password_confirmation").value = "differ";
-         *   Validate.All();
-         *   Errors["password"]; // null (returns "doesn't match confirmation" in Active Record)
-         *   Errors["password_confirmation"]; // ["doesn't match"]
+         * Returns a function that runs the given one with this registry in
+         * use.
          */
-        Confirmation: function () { // TODO: Let's try to clean this up.
-            args = [].splice.call(arguments, 0); // Convert Arguments objects
-            var options = GoodForm.Helpers.extractOptions(args);
+        this.wrap = function (fn) {
+            return function () { return registry.run(fn, arguments); };
+        };
 
-            for (var i = 0; arg = args[i]; ++i) {
-                arg = GoodForm.Helpers.extractName(arg);
-                var orig = document.getElementsByName(arg)[0];
-                var conf = document.getElementById(orig.id + "_confirmation");
-                var v = new GoodForm.Validation([conf.name, options], "confirmation");
-                v.orig = orig, v.conf = conf;
-                v.validate = function (value) {
-                    if (value != v.orig.value)
-                        return v.message;
-                }
-            }
-        },
+        this.Validates = {};
+        for (var type in GoodForm.Validates)
+            this.Validates[type] = this.wrap(GoodForm.Validates[type]);
 
+        this.Validate = this.wrap(GoodForm.Validate.Name);
         /*
-         * Validates that the value of the specified attribute is not in a
-         * particular array.
-         *
-         *   Validates.Exclusion("username", { "in": ["admin", "superuser"], message: "You don't belong here" });
-         *   Validates.Exclusion("format", { "in": ["mov", "avi"], message => "extension %s is not allowed" });
-         *
-         * Configuration options:
-         *
-         * - +"in"+, or +inOption+ - An array of items that the value shouldn't
-         *   be a part of.
-         * - +message+ - Specifies a custom error message (default is: "is
-         *   reserved")
-         * - +allowNull+ - If set to true, skips this validation if the
-         *   attribute is null (default is: false)
-         * - +allowBlank+ - If set to true, skips this validation if the
-         *   attribute is blank (default is: false)
+         * Returns a function that runs the given one with this registry in
+         * use, over the registry's form. Like Validate.All, it takes the
+         * options, or a form (which this form replaces) then the options.
          */
-        Exclusion: function () {
-            var v = new GoodForm.Validation(arguments, "exclusion");
-            v.validate = function (value) {
-                for (var i = 0, len = v["in"].length; i < len; ++i)
-                    if (value == v["in"][i])
-                        return v.message.replace(/%s/g, value);
-            }
-        },
+        var scoped = function (fn) {
+            return registry.wrap(function (scope, options) {
+                if (!options && scope && scope.constructor == Object) options = scope;
+                return fn(form, options);
+            });
+        };
+
+        this.Validate.All = scoped(GoodForm.Validate.All);
+        this.Validate.All.async = scoped(GoodForm.Validate.AllAsync);
+        this.Validate.Local = this.wrap(GoodForm.Validate.Local);
+        this.Validate.async = this.wrap(GoodForm.Validate.Async);
+        for (var i = 0, key; key = state[i]; ++i)
+            this.Validate[key] = {};
+
+        this.scan = this.wrap(function (root) { return GoodForm.scan(root || form); });
+        this.exportRules = this.wrap(GoodForm.exportRules);
+        this.importRules = this.wrap(GoodForm.importRules);
+        this.clearCache = this.wrap(GoodForm.clearCache);
+        this.unregister = this.wrap(GoodForm.unregister);
+        this.clearEffects = this.wrap(GoodForm.clearEffects);
+        this.reset = this.wrap(function () { return GoodForm.reset(form); });
+
+        this.errors = {};
+        for (var method in GoodForm.errors)
+            this.errors[method] = this.wrap(GoodForm.errors[method]);
+    },
+
+    /*
+     * An error summary: lists every failing form element in a container, as
+     * links that focus the element, and keeps the list up to date as
+     * responses come in. The container is hidden while there are no errors.
+     *
+     *   <div id="errors"></div>
+     *
+     *   var summary = new GoodForm.Summary("errors", { form: "signup" });
+     *   Validate.All("signup"); // Lists "Email can't be blank", ...
+     *   summary.remove();       // Stops listening
+     *
+     * Configuration options:
+     *
+     * - +form+ - Only list elements of this form (an element or ID)
+     * - +heading+ - The heading above the list (default is the +summary+
+     *   message, e.g. "2 errors prohibited this form from being saved:")
+     * - +fullMessages+ - Set to false to list bare messages (default is:
+     *   true)
+     *
+     * The container is given the className "good_form_summary" and holds a
+     * <p/> heading and a <ul/> list.
+     */
+    Summary: function (container, options) {
+        var summary = this;
+        options = GoodForm.Helpers.extractOptions(options);
+        this.container = GoodForm.Helpers.extractElement(container);
+        this.form = GoodForm.Helpers.extractElement(options.form);
+        this.errors = {}; // Messages by name
 
         /*
-         * Validates whether the value of the specified attribute is of the
-         * correct form by matching it against the regular expression provided.
-         *
+         * Rebuilds the container's contents from the current errors.
+         */
+        this.render = function () {
+            var el = summary.container, names = [];
+            while (el.firstChild) el.removeChild(el.firstChild);
+            el.className = "good_form_summary";
+            for (var name in summary.errors) names.push(name);
+            el.style.display = names.length ? "" : "none";
+            if (!names.length) return;
+
+            names.sort(function (a, b) { // In document order
+                return GoodForm.Helpers.documentOrder(GoodForm.Helpers.getElementsByName(a, summary.form)[0],
+                    GoodForm.Helpers.getElementsByName(b, summary.form)[0]);
+            });
+
+            var count = 0, list = document.createElement("ul");
+            for (var i = 0, name; name = names[i]; ++i) {
+                var field = GoodForm.Helpers.getElementsByName(name, summary.form)[0];
+                for (var j = 0, message; message = summary.errors[name][j]; ++j, ++count) {
+                    var item = document.createElement("li"), link = document.createElement("a");
+                    link.href = "#" + (field && field.id || "");
+                    link.goodFormName = name;
+                    if (options.fullMessages !== false)
+                        message = GoodForm.fullMessage(name, message);
+                    link.appendChild(document.createTextNode(message));
+                    item.appendChild(link);
+                    list.appendChild(item);
+                }
+            }
+            var heading = document.createElement("p");
+            heading.appendChild(document.createTextNode(options.heading
+                || GoodForm.translate("summary", { count: count })));
+            el.appendChild(heading);
+            el.appendChild(list);
+        };
+
+        /*
+         * Stops updating the summary and empties it.
+         */
+        this.remove = function () {
+            GoodForm.off("afterValidate", update);
+            GoodForm.off("reset", update);
+            GoodForm.Helpers.stopObserving(summary.container, "click", focus);
+            summary.errors = {};
+            summary.render();
+        };
+
+        var update = function (name, response) {
+            if (summary.form && (!GoodForm.Helpers.inRegistryOf(summary.form)
+                    || !GoodForm.Helpers.getElementsByName(name, summary.form).length))
+                return;
+            if (GoodForm.Helpers.parseResponse(response) == "error")
+                summary.errors[name] = [].concat(response);
+            else
+                delete summary.errors[name];
+            summary.render();
+        };
+
+        var focus = function (event) {
+            var link = event.target || event.srcElement;
+            if (!link.goodFormName) return;
+            var field = GoodForm.Helpers.getElementsByName(link.goodFormName, summary.form)[0];
+            if (field && field.focus) {
+                field.focus();
+                GoodForm.Helpers.stopEvent(event);
+            }
+        };
+
+        GoodForm.on("afterValidate", update);
+        GoodForm.on("reset", update);
+        GoodForm.Helpers.observe(this.container, "click", focus);
+        this.render();
+    },
+
+    /*
+     * Describes every registered validation as plain data that can be
+     * serialized with JSON.stringify, shared with a server, and rebuilt with
+     * GoodForm.importRules:
+     *
+     *   Validates.Length("login", "email", { maximum: 32 });
+     *   Validates.Format("email", { "with": /^[^@\s]+@[^@\s]+$/i });
+     *   GoodForm.exportRules();
+     *   // [{ type: "Length", names: ["login", "email"], options: { maximum: 32 } },
+     *   //  { type: "Format", names: ["email"], options: { "with": { source: "^[^@\\s]+@[^@\\s]+$", flags: "i" } } }]
+     *
+     * Regular expressions are described by their source and flags. Options
+     * that are functions (+if+, +unless+, or the +with+ of Validates.AdHoc)
+     * cannot be described: a validation with any is described without its
+     * options, marked with the options +skipped+, and is not imported:
+     *
+     *   Validates.Presence("nickname", { "if": function () { ... } });
+     *   GoodForm.exportRules();
+     *   // [{ type: "Presence", names: ["nickname"], skipped: ["if"] }]
+     */
+    exportRules: function () {
+        var type, rules = [], seen = [], types = ["local", "remote"];
+        for (var t = 0; type = types[t]; ++t)
+            for (var name in GoodForm[type])
+                for (var i = 0, v; v = GoodForm[type][name][i]; ++i) {
+                    for (var j = 0, len = seen.length; j < len; ++j)
+                        if (seen[j] == v) break;
+                    if (j < len || !v.type) continue;
+                    seen.push(v);
+
+                    var options = {}, skipped = [];
+                    for (var option in v.options)
+                        if (v.options[option] != undefined && v.options[option].constructor == Function)
+                            skipped.push(option);
+                        else
+                            options[option] = GoodForm.Helpers.exportOption(v.options[option]);
+                    if (skipped.length)
+                        rules.push({ type: v.type, names: [].concat(v.names), skipped: skipped });
+                    else
+                        rules.push({ type: v.type, names: [].concat(v.names), options: options });
+                }
+        return rules;
+    },
+
+    /*
+     * Registers the validations described by GoodForm.exportRules, given
+     * either the rules or their JSON string. Rules marked +skipped+ are
+     * passed over.
+     *
+     *   GoodForm.importRules('[{ "type": "Presence", "names": ["login"], "options": {} }]');
+     *   // Same as Validates.Presence("login");
+     */
+    importRules: function (rules) {
+        if (rules.constructor == String) rules = JSON.parse(rules);
+        for (var i = 0, rule; rule = rules[i]; ++i) {
+            if (rule.skipped) continue;
+            if (!GoodForm.Validates[rule.type])
+                throw new Error("GoodForm: unknown validation " + rule.type);
+            var options = {};
+            for (var option in rule.options)
+                options[option] = GoodForm.Helpers.importOption(rule.options[option]);
+            GoodForm.Validates[rule.type].apply(GoodForm.Validates, [].concat(rule.names, options));
+        }
+    },
+
+    /*
+     * Clears cached Ajax validation answers (see Validates.Ajax), for one
+     * form element name or, without one, for every name.
+     *
+     *   GoodForm.clearCache("login");
+     */
+    clearCache: function (name) {
+        if (name) name = GoodForm.Helpers.extractName(name);
+        for (var key in GoodForm.Validate.cache)
+            if (!name || GoodForm.Validate.cache[key].name == name)
+                delete GoodForm.Validate.cache[key];
+    },
+
+    /*
+     * Removes the validations of a form element name (or wildcard name): all
+     * of them, those of one type, or a single Validation object. Returns the
+     * validations removed.
+     *
+     *   GoodForm.unregister("nickname");
+     *   GoodForm.unregister("email", "Ajax");
+     *
+     * Validations defined for more than one name stay in place for the
+     * others.
+     */
+    unregister: function (name, validation) {
+        name = GoodForm.Helpers.extractName(name);
+        var removed = [], types = ["local", "remote"];
+        for (var t = 0, type; type = types[t]; ++t) {
+            var kept = [], validations = GoodForm[type][name] || [];
+            for (var i = 0, v; v = validations[i]; ++i)
+                if (!validation || v == validation || v.type == validation) {
+                    removed.push(v);
+                    for (var j = v.names.length - 1; j >= 0; --j)
+                        if (v.names[j] == name) v.names.splice(j, 1); // Not exported for it
+                } else
+                    kept.push(v);
+            if (kept.length)
+                GoodForm[type][name] = kept;
+            else
+                delete GoodForm[type][name];
+        }
+        delete GoodForm.Validate.response[name];
+        delete GoodForm.Validate.errors[name];
+        return removed;
+    },
+
+    /*
+     * Returns a form to its state before validation: forgets responses,
+     * drops Ajax validations still under way, and clears the effects of
+     * every validated element in the form (or, without a form, the page).
+     *
+     *   GoodForm.reset("signup");
+     *
+     * Validations stay defined; see GoodForm.unregister to remove them.
+     */
+    reset: function (form) {
+        form = GoodForm.Helpers.extractElement(form);
+        var registry = form && GoodForm.Helpers.findRegistry(form);
+        var reset = function () {
+            var names = [], seen = {}, types = ["local", "remote"];
+            for (var t = 0, type; type = types[t]; ++t)
+                for (var pattern in GoodForm[type])
+                    names = names.concat(GoodForm.Helpers.expandName(pattern, form));
+            for (var name in GoodForm.Validate.response)
+                names.push(name);
+
+            for (var i = 0, name; name = names[i]; ++i) {
+                if (seen[name] || form && !GoodForm.Helpers.getElementsByName(name, form).length)
+                    continue;
+                seen[name] = true;
+                delete GoodForm.Validate.queue[name];
+                delete GoodForm.Validate.response[name];
+                delete GoodForm.Validate.pending[name];
+                delete GoodForm.Validate.errors[name];
+                GoodForm.Validate.sequence[name] = 0; // Drops responses still to come
+                var waiting = GoodForm.Validate.waiting[name] || [];
+                delete GoodForm.Validate.waiting[name];
+                for (var j = 0, len = waiting.length; j < len; ++j)
+                    waiting[j](); // No response: not valid
+                GoodForm.clearEffects(name);
+            }
+            GoodForm.Validate.Cancel(true);
+        };
+        return registry ? registry.run(reset) : reset();
+    },
+
+    /*
+     * Undoes the work of GoodForm.Validate.Effect for a form element name:
+     * removes the validation span it created (or empties one found in the
+     * page), and the ARIA attributes it set on the element. Runs the +reset+
+     * callbacks, which an error summary uses to drop the name.
+     *
+     *   GoodForm.clearEffects("nickname");
+     */
+    clearEffects: function (name) {
+        name = GoodForm.Helpers.extractName(name);
+        var id = GoodForm.Helpers.validationSpanId(name);
+        var el = typeof document != "undefined" && document.getElementById(id);
+        if (el && el.getAttribute("data-good-form") == "created")
+            el.parentNode.removeChild(el);
+        else if (el)
+            el.className = "", el.innerHTML = "";
+
+        var fields = GoodForm.Helpers.getElementsByName(name);
+        for (var i = 0, field; field = fields[i]; ++i) {
+            field.removeAttribute("aria-invalid");
+            field.removeAttribute("aria-busy");
+            GoodForm.Helpers.removeDescription(field, id);
+        }
+        GoodForm.Helpers.runCallbacks("reset", name, [name]);
+    },
+
+    /*
+     * References every form bound with GoodForm.attach, with its listeners.
+     */
+    attached: [],
+
+    /*
+     * Trigger strategies for GoodForm.attach, by name. Each maps the element
+     * events that validate a form element to how:
+     *
+     * - +true+ - Validate, and show the result
+     * - +"invalid"+ - Validate, and show the result, only while the element
+     *   shows an error
+     * - +"silent"+ - Validate without showing the result (callbacks still
+     *   run)
+     *
+     * The strategies:
+     *
+     * - +change+ - Validate on change (the default)
+     * - +lazy+ - Validate when the element loses focus
+     * - +eager+ - Validate when the element loses focus, then as it is typed
+     *   in for as long as it is invalid
+     * - +live+ - Validate as the element is typed in
+     * - +submit+ - Only validate as the form is submitted
+     *
+     *   GoodForm.triggers.quiet = { input: "silent", blur: true };
+     */
+    triggers: {
+        change: { change: true },
+        lazy: { blur: true },
+        eager: { blur: true, input: "invalid" },
+        live: { input: true, change: true },
+        submit: {}
+    },
+
+    /*
+     * Binds validation to a form without inline event handlers: registered
+     * form elements are validated as they change, and the form is validated
+     * as a whole on submit (and not submitted unless valid).
+     *
+     * On submit, while Ajax validations are still under way, the submission
+     * is held, the form's submit buttons are disabled (so it can't be sent
+     * twice), and it is sent again once every validation passes. When any
+     * fails, the first invalid element in the form is scrolled to and
+     * focused.
+     *
+     * Throws if the form (an element or ID) is not found.
+     *
+     *   GoodForm.attach("signup");
+     *   GoodForm.attach("signup", { trigger: "eager", remoteTrigger: "lazy" });
+     *   GoodForm.attach(document.forms[0], { triggers: { password: "live" } });
+     *
+     * Configuration options:
+     *
+     * - +trigger+ - When elements are validated: the name of one of
+     *   GoodForm.triggers, or a strategy of its own (default is: "change")
+     * - +remoteTrigger+ - When elements are validated with Ajax (default is:
+     *   the +trigger+)
+     * - +triggers+ - Triggers for single elements, by name (or wildcard
+     *   name). Each is a trigger, or { local: trigger, remote: trigger }.
+     * - +events+ - The element events that trigger validation, as a
+     *   shorthand for a +trigger+ (e.g.: ["change", "blur"])
+     * - +submit+ - Set to false to leave submission alone (default is: true)
+     * - +context+ - The validation context (see GoodForm.context)
+     */
+    attach: function (form, options) {
+        if (!(form = GoodForm.Helpers.extractElement(form)))
+            throw new Error("GoodForm: no form to attach");
+        options = GoodForm.Helpers.extractOptions(options);
+        GoodForm.detach(form);
+
+        var trigger = GoodForm.Helpers.trigger(options.trigger
+            || options.events && [].concat(options.events) || "change");
+        var remoteTrigger = options.remoteTrigger ? GoodForm.Helpers.trigger(options.remoteTrigger) : trigger;
+        var shown = {}; // The status each name shows
+
+        // Resolves the { local, remote } triggers of a name
+        var triggersFor = function (name) {
+            var field = GoodForm.Helpers.forName(options.triggers || {}, name)[0];
+            if (!field) return { local: trigger, remote: remoteTrigger };
+            if (field.constructor == Object && (field.local || field.remote))
+                return { local: field.local ? GoodForm.Helpers.trigger(field.local) : trigger,
+                         remote: field.remote ? GoodForm.Helpers.trigger(field.remote) : remoteTrigger };
+            field = GoodForm.Helpers.trigger(field);
+            return { local: field, remote: field };
+        };
+
+        var listeners = {};
+        var validate = function (event) {
+            var el = event.target || event.srcElement, name = el.name;
+            var registry = GoodForm.Helpers.findRegistry(form) || GoodForm;
+            if (!name) return;
+
+            var type = { focusout: "blur", focusin: "focus" }[event.type] || event.type;
+            var invalid = shown[name] == "error", strategies = triggersFor(name);
+            var local = GoodForm.Helpers.forName(registry.local, name).length && strategies.local[type];
+            var remote = GoodForm.Helpers.forName(registry.remote, name).length && strategies.remote[type];
+            if (local == "invalid" && !invalid) local = false;
+            if (remote == "invalid" && !invalid) remote = false;
+            if (!local && !remote) return;
+
+            (registry.Validate.Name || registry.Validate)(name, { scope: form, context: options.context,
+                local: !remote, silent: (remote || local) == "silent" });
+        };
+        var track = function (name, response, silent) {
+            if (!silent && GoodForm.Helpers.inRegistryOf(form)
+                    && GoodForm.Helpers.getElementsByName(name, form).length)
+                shown[name] = GoodForm.Helpers.parseResponse(response);
+        };
+
+        var strategies = [trigger, remoteTrigger];
+        for (var name in options.triggers || {})
+            strategies.push(triggersFor(name).local, triggersFor(name).remote);
+        for (var i = 0, strategy; strategy = strategies[i]; ++i)
+            for (var event in strategy)
+                listeners[event] = validate;
+        var submitting, resubmitting, disabled = [];
+        var hold = function (held) {
+            for (var i = 0, el; el = disabled[i]; ++i) el.disabled = false;
+            disabled = [];
+            if (held) {
+                for (var i = 0, el; el = form.elements[i]; ++i)
+                    if (/^(submit|image)$/.test(el.type) && !el.disabled)
+                        el.disabled = true, disabled.push(el);
+                form.setAttribute("aria-busy", "true");
+            } else
+                form.removeAttribute("aria-busy");
+            submitting = held;
+        };
+        if (options.submit !== false)
+            listeners.submit = function (event) {
+                if (resubmitting) return;
+                if (submitting) return GoodForm.Helpers.stopEvent(event); // Sent twice
+                var registry = GoodForm.Helpers.findRegistry(form) || GoodForm;
+                if (typeof Promise == "undefined") { // See Validate.Await
+                    if (!registry.Validate.All(form, { context: options.context }))
+                        GoodForm.Helpers.stopEvent(event), GoodForm.Helpers.focusFirstError(form);
+                    return;
+                }
+
+                var requests = GoodForm.Validate.requests, pending = false;
+                var validated = registry.Validate.All.async(form, { context: options.context });
+                for (var name in registry.Validate.pending)
+                    if (registry.Validate.pending[name] > requests) pending = true;
+                if (!pending) {
+                    var response = registry.Validate.response;
+                    for (var name in response)
+                        if (GoodForm.Helpers.parseResponse(response[name]) != "valid") {
+                            GoodForm.Helpers.stopEvent(event);
+                            return GoodForm.Helpers.focusFirstError(form);
+                        }
+                    return;
+                }
+
+                var submitter = event.submitter;
+                GoodForm.Helpers.stopEvent(event);
+                hold(true);
+                validated.then(function (valid) {
+                    hold(false);
+                    if (!valid) return GoodForm.Helpers.focusFirstError(form);
+                    resubmitting = true;
+                    try {
+                        if (form.requestSubmit)
+                            form.requestSubmit(submitter && submitter.form == form ? submitter : undefined);
+                        else
+                            form.submit();
+                    } finally {
+                        resubmitting = false;
+                    }
+                });
+            };
+
+        for (var event in listeners)
+            GoodForm.Helpers.observe(form, event, listeners[event]);
+        GoodForm.on("afterValidate", track);
+        GoodForm.on("reset", track);
+        GoodForm.attached.push({ form: form, listeners: listeners, track: track });
+        return form;
+    },
+
+    /*
+     * Removes the listeners bound to a form by GoodForm.attach.
+     *
+     *   GoodForm.detach("signup");
+     */
+    detach: function (form) {
+        form = GoodForm.Helpers.extractElement(form);
+        for (var i = GoodForm.attached.length - 1; i >= 0; --i) {
+            var attached = GoodForm.attached[i];
+            if (attached.form != form) continue;
+            for (var event in attached.listeners)
+                GoodForm.Helpers.stopObserving(form, event, attached.listeners[event]);
+            GoodForm.off("afterValidate", attached.track);
+            GoodForm.off("reset", attached.track);
+            GoodForm.attached.splice(i, 1);
+        }
+        return form;
+    },
+
+    /*
+     * The plain object being validated by GoodForm.validateObject, if any.
+     * Values are read from it in place of the DOM while it is set.
+     */
+    values: null,
+
+    /*
+     * Runs the local validations of a registry (default: the global one)
+     * against a plain object of values, without touching the DOM, and
+     * returns the error messages of each invalid name. Works in Node, too:
+     *
+     *   var GoodForm = require("./good_form");
+     *   GoodForm.Validates.Presence("login", "email");
+     *   GoodForm.Validates.Length("login", { maximum: 8 });
+     *   GoodForm.validateObject({ login: "supercalifragilistic", email: "" });
+     *   // { login: ["is too long (maximum is 8 characters)"], email: ["can't be blank"] }
+     *
+     * Values are found by name, or by path for nested names ("user[email]"
+     * finds { user: { email: ... } }). See GoodForm.Helpers.lookup.
+     *
+     * Configuration options:
+     *
+     * - +context+ - The validation context (see GoodForm.context)
+     *
+     * Ajax validations are skipped: only the server can run them.
+     */
+    validateObject: function (data, registry, options) {
+        if (registry && registry.constructor == Object) options = registry, registry = null;
+        options = GoodForm.Helpers.extractOptions(options);
+        var validate = function () {
+            var values = GoodForm.values, response = GoodForm.Validate.response, errors = {};
+            GoodForm.values = data, GoodForm.Validate.response = {};
+            try {
+                for (var pattern in GoodForm.local)
+                    for (var i = 0, names = GoodForm.Helpers.expandName(pattern), name; name = names[i]; ++i)
+                        GoodForm.Validate.Name(name, { defer: true, local: true, context: options.context });
+                for (var name in GoodForm.Validate.response)
+                    if (GoodForm.Helpers.parseResponse(GoodForm.Validate.response[name]) == "error")
+                        errors[name] = [].concat(GoodForm.Validate.response[name]);
+            } finally {
+                GoodForm.values = values, GoodForm.Validate.response = response;
+            }
+            return errors;
+        };
+        return registry ? registry.run(validate) : validate();
+    },
+
+    /*
+     * The validation context used when Validate() and Validate.All() aren't
+     * given one. Set it to "create" or "update" for a whole page:
+     *
+     *   Validates.Presence("password", { on: "create" });
+     *   GoodForm.context = "update";
+     *   Validate("password"); // Skips the presence check
+     *
+     * Validations defined without an +on+ option run in every context.
+     * Validations defined with one run only when the context matches; +on+
+     * takes a context name or an array of them, and custom names ("publish",
+     * "draft") work just like "create" and "update".
+     */
+    context: null,
+
+    /*
+     * The Validation object. Will work given a custom validation() function
+     * defined to return an error message or null.
+     *
+     *   var v = new GoodForm.Validation(["field"]);
+     *   v.validate = function (value, name) { return "is always invalid" };
+     *   Validate("field"); // false
+     *   GoodForm.Validate.response["field"]; // ["is always invalid"];
+     */
+    Validation: function (args, defaultMessage, remote) {
+        // Validates functions set their type once the Validation is made;
+        // custom ones are found by the function called, where allowed (not
+        // in strict mode)
+        try { var validatesType = GoodForm.Helpers.validationType(args.callee); } catch (e) {}
+        args = [].splice.call(args, 0); // Convert Arguments objects
+        var options = GoodForm.Helpers.extractOptions(args);
+
+        // Apply options to Validation object
+        for (var name in options) this[name] = options[name];
+
+        // Remember the call for GoodForm.exportRules
+        this.type = validatesType, this.options = options, this.names = [];
+
+        // The key of the default error message, looked up as the validation
+        // runs (see GoodForm.Helpers.message)
+        this.defaultMessage = defaultMessage;
+
+        var type = remote ? "remote" : "local";
+        // Register validation
+        for (var i = 0; name = args[i]; ++i) {
+            name = GoodForm.Helpers.extractName(name);
+            this.names.push(name);
+            if (!GoodForm[type][name]) GoodForm[type][name] = [];
+            GoodForm[type][name].push(this);
+        }
+    },
+
+    /*
+     * GoodForm.Validates is the preferred namespace for named validations.
+     */
+    Validates: {
+        /*
+         * Encapsulates the pattern of wanting to validate the acceptance of a
+         * terms of service check box (or similar agreement). Example:
+         *
+         *   Validates.Acceptance("terms_of_service");
+         *   Validates.Acceptance("eula", { message: "must be abided" });
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is: "must be
+         *   accepted")
+         * - +allowNull+ - Skip validation if attribute is null (default is
+         *   true).
+         * - +accept+ - Specifies value that is considered accepted. The
+         *   default
+         *   value is a string "1", which makes it easy to relate to an HTML
+         *   checkbox.
+         */
+        Acceptance: function () {
+            var v = new GoodForm.Validation(arguments, "accepted");
+            v.type = "Acceptance";
+            if (!v.accept) v.accept = "1";
+            v.validate = function (value) {
+                if (value != v.accept)
+                    return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+            }
+        },
+
+        /*
+         * Validates the value of the specified attribute against the value of
+         * another form element.
+         *
+         *   Validates.Comparison("end_date", { greaterThan: "start_date" });
+         *   Validates.Comparison("new_password", { otherThan: "password" });
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is, e.g.: "must be
+         *   greater than Start date")
+         * - +greaterThan+ - Specifies the value must be greater than that of
+         *   the named element
+         * - +greaterThanOrEqualTo+ - Specifies the value must be greater than
+         *   or equal to that of the named element
+         * - +equalTo+ - Specifies the value must be equal to that of the
+         *   named element
+         * - +otherThan+ - Specifies the value must be other than that of the
+         *   named element
+         * - +lessThan+ - Specifies the value must be less than that of the
+         *   named element
+         * - +lessThanOrEqualTo+ - Specifies the value must be less than or
+         *   equal to that of the named element
+         * - +as+ - Compare values as "number", "date", "time" or "string"
+         *   (default is: numbers if both values are numeric, dates if both
+         *   are dates, or else strings)
+         * - +format+ - The pattern(s) to read dates or times in (see
+         *   Validates.Date)
+         *
+         * In place of an element name, an operator takes a function returning
+         * the value to compare against. The comparison is skipped while the
+         * other element is blank, and the attribute is validated again
+         * whenever the other element is (see Validate).
+         */
+        Comparison: function () {
+            var v = new GoodForm.Validation(arguments, "invalid");
+            v.type = "Comparison";
+            var operators = ["greaterThan", "greaterThanOrEqualTo", "equalTo", "otherThan",
+                             "lessThan", "lessThanOrEqualTo"];
+
+            // The names of the elements compared against
+            v.dependsOn = [];
+            for (var i = 0, operator; operator = operators[i]; ++i)
+                if (v[operator] && v[operator].constructor == String)
+                    v.dependsOn.push(v[operator]);
+
+            v.validate = function (value, name) {
+                // Wildcards in names compared against stand for the same row
+                for (var i = 0, indices = []; i < v.names.length; ++i)
+                    if (indices = GoodForm.Helpers.nameIndices(v.names[i], name)) break;
+
+                for (var i = 0, operator; operator = operators[i]; ++i) {
+                    if (v[operator] == undefined) continue;
+                    var isName = v[operator].constructor == String;
+                    var otherName = isName && GoodForm.Helpers.fillName(v[operator], indices || []);
+                    var other = isName ? GoodForm.Helpers.getValuesByName(otherName) : v[operator]();
+                    if (other == undefined || /^\s*$/.test(other)) continue;
+
+                    var as = v.as || GoodForm.Helpers.comparisonType(value, other, v.format);
+                    var a = GoodForm.Helpers.coerce(value, as, v.format);
+                    var b = GoodForm.Helpers.coerce(other, as, v.format);
+                    if (a == null)
+                        return GoodForm.Helpers.message(v.message, { number: "notANumber",
+                            date: "invalidDate", time: "invalidTime" }[as] || v.defaultMessage, { value: value });
+                    if (b == null) continue;
+
+                    if (operator == "greaterThan" && a <= b || operator == "greaterThanOrEqualTo" && a < b
+                            || operator == "equalTo" && a != b || operator == "otherThan" && a == b
+                            || operator == "lessThan" && a >= b || operator == "lessThanOrEqualTo" && a > b)
+                        return GoodForm.Helpers.message(v.message, operator, { value: value,
+                            count: isName ? GoodForm.humanAttributeName(otherName) : other });
+                }
+            }
+        },
+
+        /*
+         * Encapsulates the pattern of wanting to validate a password or email
+         * address field with a confirmation. Example:
+         *
+         *   Fields:
+         *     <input id="email" name="email" type="text"/>
+         *     <input id="email_confirmation" name="email_confirmation" type="text"/>
+         *     <input id="password" name="password" type="password"/>
+         *     <input id="password_confirmation" name="password_confirmation" type="password"/>
+         *
+         *   JavaScript:
+         *     Validates.Confirmation("email");
+         *     Validates.Confirmation("password", { message: "should match password" });
+         *
+         * NOTE: This check is performed only if the confirmation is not null.
+         * To require confirmation, make sure to add a presence check for
+         * confirmation attributes:
+         *
+         *   Validates.Presence("email_confirmation", "password_confirmation");
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is: "doesn't match")
+         *
+         * ALSO NOTE: This validation differs from its Active Record
+         * counterpart. Where Active Record validates the password against the
+         * confirmation, GoodForm validates the confirmation against the
+         * password:
+         *
+         *   Validates.Confirmation("password");
+         *   document.getElementById("password_confirmation").value = "differ";
+         *   Validate.All();
+         *   GoodForm.errors.on("password"); // null (returns "doesn't match confirmation" in Active Record)
+         *   GoodForm.errors.on("password_confirmation"); // ["doesn't match"]
+         */
+        Confirmation: function () {
+            var args = [].splice.call(arguments, 0); // Convert Arguments objects
+            var options = GoodForm.Helpers.extractOptions(args);
+
+            for (var i = 0, arg; arg = args[i]; ++i) (function (name) {
+                // The confirmation is found by ID, or else by name
+                var orig = GoodForm.Helpers.getElementsByName(name)[0];
+                var conf = orig && orig.id && document.getElementById(orig.id + "_confirmation");
+                var v = new GoodForm.Validation([conf ? conf.name : name + "_confirmation", options],
+                    "confirmation");
+                v.orig = orig, v.conf = conf;
+                v.type = "Confirmation", v.names = [name];
+                v.validate = function (value) {
+                    if (value != GoodForm.Helpers.getValuesByName(name))
+                        return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+                }
+            })(GoodForm.Helpers.extractName(arg));
+        },
+
+        /*
+         * Validates that the value of the specified attribute is a date, and
+         * optionally that it falls within bounds.
+         *
+         *   Validates.Date("birthday", { onOrBefore: "-18 years" });
+         *   Validates.Date("check_out", { after: "check_in" });
+         *
+         * Dates are read in the patterns of GoodForm.dateFormats for the
+         * current locale ("12/31/2010"), or in ISO 8601 ("2010-12-31").
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is: "is not a valid
+         *   date", or e.g. "must be before %{restriction}" for a bound)
+         * - +format+ - A pattern, or an array of them, to read dates in
+         *   instead, e.g. "%d.%m.%Y" (see GoodForm.dateFormats)
+         * - +before+ - Specifies the date must be before the supplied one
+         * - +after+ - Specifies the date must be after the supplied one
+         * - +onOrBefore+ - Specifies the date must be on or before the
+         *   supplied one
+         * - +onOrAfter+ - Specifies the date must be on or after the
+         *   supplied one
+         *
+         * A bound is a Date, a date string, an expression relative to today
+         * ("today", "tomorrow", "-18 years", "today +2 weeks"), the name of
+         * another form element holding a date, or a function returning one
+         * of these. Bounds that can't be read, e.g. blank elements, are
+         * skipped. As with Validates.Comparison, a form element used as a
+         * bound is validated again when the element it bounds changes.
+         */
+        Date: function () {
+            var v = new GoodForm.Validation(arguments, "invalidDate");
+            v.type = "Date";
+            v.dependsOn = GoodForm.Helpers.timestampFields(v);
+            v.validate = function (value) {
+                return GoodForm.Helpers.validateTimestamp(v, "date", value);
+            }
+        },
+
+        /*
+         * Validates that the value of the specified attribute is an email
+         * address.
+         *
+         *   Validates.Email("email");
+         *   Validates.Email("billing_email", { strict: true, allowBlank: true });
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is: "is not a valid
+         *   email address")
+         * - +strict+ - Only allow the characters RFC 5322 allows in an
+         *   unquoted local part, and a domain of valid host names with a TLD,
+         *   within the RFC 5321 length limits (default is: false, which only
+         *   asks for something@something.tld)
+         */
+        Email: function () {
+            var v = new GoodForm.Validation(arguments, "invalidEmail");
+            v.type = "Email";
+            v.validate = function (value) {
+                var valid = v.strict
+                    ? /^[a-z0-9!#$%&'*+\/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+\/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i.test(value)
+                        && value.length <= 254 && value.indexOf("@") <= 64
+                    : /^[^@\s]+@[^@\s]+\.[^@\s.]+$/.test(value);
+                if (!valid)
+                    return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+            }
+        },
+
+        /*
+         * Validates the files chosen in a file input, as read by the File API,
+         * before they are uploaded.
+         *
+         *   Validates.File("avatar", { maxSize: "2 MB", accept: "image/*" });
+         *   Validates.File("attachments[]", { extensions: ["pdf", "doc"], maxFiles: 5 });
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is, e.g.: "is too
+         *   large (maximum is 2 MB)")
+         * - +maxSize+ - The largest size allowed for each file, in bytes or
+         *   as a string like "500 KB" or "2 MB"
+         * - +minSize+ - The smallest size allowed for each file
+         * - +accept+ - The MIME types allowed, as in the accept attribute of
+         *   a file input: an array or a comma-separated string of types
+         *   ("application/pdf"), globs ("image/*") or extensions (".pdf")
+         * - +extensions+ - The file name extensions allowed, e.g. ["jpg",
+         *   "png"]
+         * - +minFiles+ - The fewest files allowed (for +multiple+ inputs)
+         * - +maxFiles+ - The most files allowed (for +multiple+ inputs)
+         *
+         * Validation is skipped in browsers without the File API. Messages
+         * are interpolated with the file's name as %{file}, and the names of
+         * every file chosen as %{value}. With
+         * GoodForm.validateObject, a name holds a File (or an object with
+         * +name+, +size+ and +type+), or an array of them.
+         */
+        File: function () {
+            var v = new GoodForm.Validation(arguments, "fileType");
+            v.type = "File";
+            v.validate = function (value, name) {
+                var files = GoodForm.Helpers.getFilesByName(name);
+                if (!files) return; // No File API
+                for (var i = 0, names = []; i < files.length; ++i) names.push(files[i].name);
+                value = names.join(", "); // For %{value}, in place of a path or object
+
+                if (v.minFiles != undefined && files.length < v.minFiles)
+                    return GoodForm.Helpers.message(v.message, "tooFewFiles", { count: v.minFiles, value: value });
+                if (v.maxFiles != undefined && files.length > v.maxFiles)
+                    return GoodForm.Helpers.message(v.message, "tooManyFiles", { count: v.maxFiles, value: value });
+
+                var accept = typeof v.accept == "string" ? v.accept.split(/\s*,\s*/) : v.accept;
+                var extensions = v.extensions && [].concat(v.extensions);
+                for (var i = 0, file; file = files[i]; ++i) {
+                    var values = { file: file.name, value: value };
+                    var extension = (/\.([^.]+)$/.exec(file.name || "") || [])[1] || "";
+                    if (v.maxSize != undefined && file.size > GoodForm.Helpers.parseSize(v.maxSize)) {
+                        values.size = GoodForm.Helpers.formatSize(GoodForm.Helpers.parseSize(v.maxSize));
+                        return GoodForm.Helpers.message(v.message, "fileTooLarge", values);
+                    }
+                    if (v.minSize != undefined && file.size < GoodForm.Helpers.parseSize(v.minSize)) {
+                        values.size = GoodForm.Helpers.formatSize(GoodForm.Helpers.parseSize(v.minSize));
+                        return GoodForm.Helpers.message(v.message, "fileTooSmall", values);
+                    }
+                    if (accept && !GoodForm.Helpers.acceptsFile(accept, file.type, extension))
+                        return GoodForm.Helpers.message(v.message, v.defaultMessage, values);
+                    if (extensions && !GoodForm.Helpers.acceptsFile(extensions, null, extension)) {
+                        values.extensions = extensions.join(", ");
+                        return GoodForm.Helpers.message(v.message, "fileExtension", values);
+                    }
+                }
+            }
+        },
+
+        /*
+         * Validates that the value of the specified attribute is not in a
+         * particular array.
+         *
+         *   Validates.Exclusion("username", { "in": ["admin", "superuser"], message: "You don't belong here" });
+         *   Validates.Exclusion("format", { "in": ["mov", "avi"], message => "extension %s is not allowed" });
+         *
+         * Configuration options:
+         *
+         * - +"in"+, or +inOption+ - An array of items that the value shouldn't
+         *   be a part of.
+         * - +message+ - Specifies a custom error message (default is: "is
+         *   reserved")
+         * - +allowNull+ - If set to true, skips this validation if the
+         *   attribute is null (default is: false)
+         * - +allowBlank+ - If set to true, skips this validation if the
+         *   attribute is blank (default is: false)
+         */
+        Exclusion: function () {
+            var v = new GoodForm.Validation(arguments, "exclusion");
+            v.type = "Exclusion";
+            v.validate = function (value) {
+                for (var i = 0, len = v["in"].length; i < len; ++i)
+                    if (value == v["in"][i])
+                        return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+            }
+        },
+
+        /*
+         * Validates whether the value of the specified attribute is of the
+         * correct form by matching it against the regular expression provided.
+         *
          *   Validates.Format("email", { withOption: /^([^@\s]+)@((?:[-a-z0-9]+\.)+[a-z]{2,})$/i });
          *
-         * A regular expression must be provided or else an exception will be
-         * raised.
+         * A regular expression must be provided or else an exception will be
+         * raised.
+         *
+         * Configuration options:
+         *
+         * - +message+ A custom error message (default is: "is invalid")
+         * - +allowNull+ - If set to true, skips this validation if the
+         *   attribute is null (default is: false)
+         * - +allowBlank+ - If set to true, skips this validation if the
+         *   attributeis blank (default is: false)
+         * - +"with"+, or +withOption+ - The regular expression used to
+         *   validate the format with (note: must be supplied!)
+         */
+        Format: function () {
+            var v = new GoodForm.Validation(arguments, "invalid");
+            v.type = "Format";
+            v.validate = function (value) {
+                if (!v["with"].test(value))
+                    return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+            }
+        },
+
+        /*
+         * Validates whether the value of the specified attribute is available
+         * in a particular array.
+         *
+         *   Validates.Inclusion("gender", { inOption: ["m", "f"], message: "woah! what are you then!??!!" });
+         *   Validates.Inclusion("format", { inOption: ["jpg", "gif", "png"], message: "extension %s is not included in the list" });
+         *
+         * Configuration options:
+         *
+         * - +"in"+, or +inOption+ - An array of available items
+         * - +message+ - Specifies a custom error message (default is: "is not
+         *   included in the list")
+         * - +allowNull+ - If set to true, skips this validation if the
+         *   attribute is null (default is: false)
+         * - +allowBlank+ - If set to true, skips this validation if the
+         *   attribute is blank (default is: false)
+         */
+        Inclusion: function () {
+            var v = new GoodForm.Validation(arguments, "inclusion");
+            v.type = "Inclusion";
+            if (v.inOption) v["in"] = v.inOption;
+            v.validate = function (value) {
+                for (var i = 0, len = v["in"].length; i < len; ++i)
+                    if (value == v["in"][i])
+                        return;
+                return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+            }
+        },
+
+        /*
+         * Validates that the specified attribute matches the length
+         * restrictions supplied. Only one option can be used at a time:
+         *
+         *   Validates.Length("first_name", { maximum: 30 });
+         *   Validates.Length("last_name", { maximum: 30, message: "less than %d if you don't mind" });
+         *   Validates.Length("fax", { inOption: [7, 32], allowNull: true });
+         *   Validates.Length("phone", { inOption: [7, 32], allowBlank: true });
+         *   Validates.Length("user_name", { within: [6, 20], tooLong: "pick a shorter name", tooShort: "pick a longer name" });
+         *   Validates.Length("fav_bra_size", { minimum: 1, tooShort: "please enter at least %d character" });
+         *   Validates.Length("smurf_leader", { is: 4, message: "papa is spelled with %d characters... don't play me." });
+         *
+         * Configuration options:
+         *
+         * - +minimum+ - The minimum size of the attribute
+         * - +maximum+ - The maximum size of the attribute
+         * - +is+ - The exact size of the attribute
+         * - +within+ - An array specifying the minimum and maximum size of the
+         *   attribute
+         * - +"in"+, or +inOption+ - Synonyms (aliases) for +within+
+         * - +allowNull+ - Attribute may be null; skip validation.
+         * - +allowBlank+ - Attribute may be blank; skip validation.
+         * - +tooLong+ - The error message if the attribute goes over the
+         *   maximum (default is: "is too long (maximum is %{count}
+         *   characters)")
+         * - +tooShort+ - The error message if the attribute goes under the
+         *   minimum (default is: "is too short (minimum is %{count}
+         *   characters)")
+         * - +wrongLength+ - The error message if using the +is+ method and the
+         *   attribute is the wrong size (default is: "is the wrong length
+         *   (should be %{count} characters)")
+         * - +message+ - The error message to use for a +minimum+, +maximum+,
+         *   or +is+ violation. An alias of the appropriate
+         *   too_long/too_short/wrong_length message
+         *
+         * This method is also aliased as Validates.Size()
+         */
+        Length: function () {
+            var v = new GoodForm.Validation(arguments);
+            v.type = "Length";
+            if (v.inOption) v["in"] = v.inOption;
+            if (range = v.within || v["in"])
+                v.minimum = range[0], v.maximum = range[range.length - 1];
+            else if (v.is)
+                v.minimum = v.maximum = v.is;
+            v.validate = function (value) {
+                var len = value ? value.length : 0;
+                if (v.minimum == v.maximum && len != v.minimum)
+                    return GoodForm.Helpers.message(v.wrongLength || v.message,
+                        "wrongLength", { count: v.minimum, value: value });
+                if (len < v.minimum)
+                    return GoodForm.Helpers.message(v.tooShort || v.message,
+                        "tooShort", { count: v.minimum, value: value });
+                if (v.maximum && len > v.maximum)
+                    return GoodForm.Helpers.message(v.tooLong || v.message,
+                        "tooLong", { count: v.maximum, value: value });
+            }
+        },
+
+        /*
+         * Validates whether the value of the specified attribute is numeric:
+         * digits with an optional sign and decimal part, written with the
+         * separators of GoodForm.numberFormats for the current locale
+         * ("1,234.56"). Exponents ("1e3") and hexadecimals are not numeric.
+         *
+         *   Validates.Numericality("value");
+         *   Validates.Numericality("price", { greaterThanOrEqualTo: 0, scale: 2 });
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is: "is not a number")
+         * - +onlyInteger+ - Specifies whether the value has to be an integer,
+         *   e.g. an integral value (default is false)
+         * - +allowNull+ - Skip validation if attribute is null (default is
+         *   false).
+         * - +greaterThan+ - Specifies the value must be greater than the
+         *   supplied value
+         * - +greaterThanOrEqualTo+ - Specifies the value must be greater than
+         *   or equal the supplied value
+         * - +equalTo+ - Specifies the value must be equal to the supplied
+         *   value
+         * - +lessThan+ - Specifies the value must be less than the supplied
+         *   value
+         * - +lessThanOrEqualTo+ - Specifies the value must be less than or
+         *   equal the supplied value
+         * - +"in"+, or +inOption+ - An array of the least and greatest values
+         *   allowed, e.g. [1, 5]
+         * - +odd+ - Specifies the value must be an odd number
+         * - +even+ - Specifies the value must be an even number
+         * - +precision+ - The most significant digits allowed
+         * - +scale+ - The most decimal places allowed
+         * - +separator+ - The decimal separator (default is: that of the
+         *   current locale)
+         * - +delimiter+ - The thousands delimiter (default is: that of the
+         *   current locale)
+         */
+        Numericality: function () {
+            var v = new GoodForm.Validation(arguments);
+            v.type = "Numericality";
+            if (v.inOption) v["in"] = v.inOption;
+            v.validate = function (value) {
+                var number = GoodForm.Helpers.parseNumber(value, v.separator, v.delimiter);
+                if (number == null)
+                    return GoodForm.Helpers.message(v.message, "notANumber", { value: value });
+                if (v.onlyInteger && !number.integer) // Rejects "1." and "1.0", too
+                    return GoodForm.Helpers.message(v.message, "notAnInteger", { value: value });
+                var n = number.value;
+                if (v.greaterThan != undefined && n <= v.greaterThan)
+                    return GoodForm.Helpers.message(v.message, "greaterThan", { count: v.greaterThan, value: value });
+                if (v.greaterThanOrEqualTo != undefined && n < v.greaterThanOrEqualTo)
+                    return GoodForm.Helpers.message(v.message, "greaterThanOrEqualTo", { count: v.greaterThanOrEqualTo, value: value });
+                if (v.equalTo != undefined && n != v.equalTo)
+                    return GoodForm.Helpers.message(v.message, "equalTo", { count: v.equalTo, value: value });
+                if (v.lessThan != undefined && n >= v.lessThan)
+                    return GoodForm.Helpers.message(v.message, "lessThan", { count: v.lessThan, value: value });
+                if (v.lessThanOrEqualTo != undefined && n > v.lessThanOrEqualTo)
+                    return GoodForm.Helpers.message(v.message, "lessThanOrEqualTo", { count: v.lessThanOrEqualTo, value: value });
+                if (v["in"] && (n < v["in"][0] || n > v["in"][v["in"].length - 1]))
+                    return GoodForm.Helpers.message(v.message, "notInRange",
+                        { minimum: v["in"][0], maximum: v["in"][v["in"].length - 1], value: value });
+                if (v.odd && Math.abs(n % 2) != 1)
+                    return GoodForm.Helpers.message(v.message, "odd", { value: value });
+                if (v.even && n % 2 != 0)
+                    return GoodForm.Helpers.message(v.message, "even", { value: value });
+                if (v.precision != undefined && number.digits > v.precision)
+                    return GoodForm.Helpers.message(v.message, "tooManyDigits", { count: v.precision, value: value });
+                if (v.scale != undefined && number.decimals > v.scale)
+                    return GoodForm.Helpers.message(v.message, "tooManyDecimals", { count: v.scale, value: value });
+            }
+        },
+
+        /*
+         * Validates that the value of the specified attribute is a phone
+         * number.
+         *
+         *   Validates.Phone("phone");
+         *   Validates.Phone("mobile", { format: "e164", strict: true });
          *
          * Configuration options:
          *
-         * - +message+ A custom error message (default is: "is invalid")
-         * - +allowNull+ - If set to true, skips this validation if the
-         *   attribute is null (default is: false)
-         * - +allowBlank+ - If set to true, skips this validation if the
-         *   attributeis blank (default is: false)
-         * - +"with"+, or +withOption+ - The regular expression used to
-         *   validate the format with (note: must be supplied!)
+         * - +message+ - A custom error message (default is: "is not a valid
+         *   phone number")
+         * - +format+ - "e164" for international numbers with a country code
+         *   ("+1 555 0100"), or "national" for numbers without one ("(555)
+         *   555-0100"). Either is allowed by default.
+         * - +strict+ - Only allow digits (and a leading "+"), e.g.
+         *   "+15550100" (default is: false, which also allows spaces, dots,
+         *   dashes and parentheses between digits)
+         * - +minimum+ - The fewest digits allowed (default is: 7, or 2 with a
+         *   country code)
+         * - +maximum+ - The most digits allowed (default is: 15, as per
+         *   E.164)
+         */
+        Phone: function () {
+            var v = new GoodForm.Validation(arguments, "invalidPhone");
+            v.type = "Phone";
+            v.validate = function (value) {
+                var international = /^\s*\+/.test(value || "");
+                var digits = String(value || "").replace(/\D/g, "");
+                var minimum = v.minimum || (international ? 2 : 7), maximum = v.maximum || 15;
+                var valid = (v.strict ? /^\+?\d+$/ : /^\s*\+?\s*\(?\d[\d\s().\/-]*$/).test(value || "")
+                    && digits.length >= minimum && digits.length <= maximum
+                    && !(v.format == "e164" && (!international || /^0/.test(digits)))
+                    && !(v.format == "national" && international);
+                if (!valid)
+                    return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+            }
+        },
+
+        /*
+         * Validates that a password is hard to guess, by scoring it from 0
+         * (weak) to 4 (strong) on its estimated entropy (see
+         * GoodForm.Helpers.passwordStrength).
+         *
+         *   Validates.PasswordStrength("password", { fields: ["login", "email"] });
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is: "is too weak")
+         * - +minimum+ - The least score allowed (default is: 2)
+         * - +blacklist+ - Words that add next to nothing to the score, on top
+         *   of GoodForm.commonPasswords
+         * - +fields+ - The names of form elements whose values (and their
+         *   parts, e.g. the "john" of "john.doe@example.com") are
+         *   blacklisted, too. The password is validated again when they are.
+         *
+         * The validation span is graded with a className of "weak" (scores 0
+         * and 1), "fair" (2) or "strong" (3 and 4) alongside "valid" or
+         * "error" (see Validate.Effect), and messages are interpolated with
+         * the %{score}.
+         */
+        PasswordStrength: function () {
+            var v = new GoodForm.Validation(arguments, "weakPassword");
+            v.type = "PasswordStrength";
+            if (v.minimum == undefined) v.minimum = 2;
+            v.fields = [].concat(v.fields || []);
+            v.dependsOn = v.fields;
+            v.score = function (value) {
+                var words = [].concat(GoodForm.commonPasswords, v.blacklist || []);
+                for (var i = 0, field; field = v.fields[i]; ++i) {
+                    var other = GoodForm.Helpers.getValuesByName(field);
+                    if (other) words = words.concat(other, String(other).split(/[\s@._\-+]+/));
+                }
+                return GoodForm.Helpers.passwordStrength(value, words).score;
+            }
+            v.grade = function (value) {
+                if (!/^\s*$/.test(value || ""))
+                    return ["weak", "weak", "fair", "strong", "strong"][v.score(value)];
+            }
+            v.validate = function (value) {
+                var score = v.score(value);
+                if (score < v.minimum)
+                    return GoodForm.Helpers.message(v.message, v.defaultMessage, { score: score, value: value });
+            }
+        },
+
+        /*
+         * Validates that the specified attributes are not blank (as realized
+         * by /^\s*$/.test(value). Example:
+         *
+         *   Validates.Presence("first_name");
+         *
+         * The first_name attribute cannot be blank.
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is: "can't be blank")
+         */
+        Presence: function () {
+            var v = new GoodForm.Validation(arguments, "blank");
+            v.type = "Presence";
+            v.validate = function (value) {
+                if (/^\s*$/.test(value || ""))
+                    return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+            }
+        },
+
+        /*
+         * Validates that the value of the specified attribute is a time of
+         * day, and optionally that it falls within bounds. It takes the
+         * options of Validates.Date, with times in place of dates:
+         *
+         *   Validates.Time("opens_at", { onOrAfter: "08:00" });
+         *   Validates.Time("closes_at", { after: "opens_at" });
+         *   Validates.Time("pick_up", { after: "+1 hour" });
+         *
+         * Times are read in the patterns of GoodForm.dateFormats for the
+         * current locale ("9:30 pm"), or in ISO 8601 ("21:30"), and
+         * relative bounds count from now. The default message is "is not a
+         * valid time".
+         */
+        Time: function () {
+            var v = new GoodForm.Validation(arguments, "invalidTime");
+            v.type = "Time";
+            v.dependsOn = GoodForm.Helpers.timestampFields(v);
+            v.validate = function (value) {
+                return GoodForm.Helpers.validateTimestamp(v, "time", value);
+            }
+        },
+
+        /*
+         * Validates that the value of the specified attribute is a URL.
+         *
+         *   Validates.Url("website");
+         *   Validates.Url("feed", { schemes: ["http", "https", "feed"], strict: true });
+         *
+         * Configuration options:
+         *
+         * - +message+ - A custom error message (default is: "is not a valid
+         *   URL")
+         * - +schemes+ - The schemes allowed (default is: ["http", "https"])
+         * - +requireTld+ - Specifies the host must end in a top-level domain,
+         *   e.g. ".com" (default is: true). IP addresses are always allowed.
+         * - +allowLocalhost+ - Allow "localhost" as the host (default is:
+         *   false)
+         * - +strict+ - Only allow valid host names, ports up to 65535, and
+         *   characters RFC 3986 allows in the path, query and fragment
+         *   (default is: false, which allows anything but whitespace)
+         */
+        Url: function () {
+            var v = new GoodForm.Validation(arguments, "invalidUrl");
+            v.type = "Url";
+            v.schemes = [].concat(v.schemes || ["http", "https"]);
+            if (v.requireTld == undefined) v.requireTld = true;
+            v.validate = function (value) {
+                var match = /^([a-z][a-z0-9+.-]*):\/\/(?:[^\s\/?#@]*@)?(\[[^\s\/?#]*\]|[^\s\/?#:]+)(?::(\d*))?([\/?#]\S*)?$/i
+                    .exec(value), valid = !!match;
+                if (match) {
+                    var scheme = match[1].toLowerCase(), host = match[2].toLowerCase(), known = false;
+                    var ip = /^\d{1,3}(\.\d{1,3}){3}$|^\[/.test(host);
+                    for (var i = 0, allowed; allowed = v.schemes[i]; ++i)
+                        if (allowed.toLowerCase() == scheme) known = true;
+                    valid = known
+                        && (host != "localhost" || !!v.allowLocalhost)
+                        && (!v.requireTld || ip || host == "localhost" || /\.[a-z][a-z0-9-]*[a-z0-9]\.?$/.test(host));
+                    if (valid && v.strict)
+                        valid = (ip ? /^((25[0-5]|2[0-4]\d|1?\d?\d)(\.|$)){4}$|^\[[0-9a-f:.]+\]$/.test(host)
+                                    : /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/.test(host.replace(/\.$/, "")))
+                            && (!match[3] || match[3] <= 65535)
+                            && /^[a-z0-9\-._~:\/?#\[\]@!$&'()*+,;=%]*$/i.test(match[4] || "")
+                            && !/%(?![0-9a-f]{2})/i.test(match[4] || "");
+                }
+                if (!valid)
+                    return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+            }
+        },
+
+        /*
+         * Handles validation with Ajax should the server be consulted for
+         * validity.
+         *
+         * E.g., if email addresses must be unique:
+         *
+         *   Validates.Ajax("email");
+         *
+         * When the item is validated, a request is sent to the path specified
+         * by GoodForm.remotePath, with the item's attributes serialized as
+         * configured by GoodForm.transport (by default, in the query string of
+         * a "GET"). The server should respond with a JSON
+         * string of name-value pairs reflecting the name attribute of the item
+         * validated, and the status of the validation. Invalid items should
+         * return an array of error messages. Valid items should return null,
+         * or a custom string stating validity:
+         *
+         *   { email: ["is invalid"] } // Invalid
+         *   { email: null }           // Valid
+         *   { email: "OK" }           // Valid with message
+         *
+         * Configuration options:
+         *
+         * - +include+ - one or more elements, element names, or parameters in
+         *   the form of "name=value".
+         * - +debounce+ - Wait this many milliseconds before sending the
+         *   request; validating the item again in the meantime restarts the
+         *   wait.
+         * - +abortPrevious+ - Abort a request still in flight for the item
+         *   when it is validated again.
+         * - +cache+ - Remember the server's answer for the item's value (and
+         *   included parameters), and reuse it instead of asking again. See
+         *   GoodForm.clearCache.
+         * - +ttl+ - How many milliseconds a cached answer is good for
+         *   (default: until the page unloads or the cache is cleared)
+         *
+         * Only the response to the latest request for an item is applied;
+         * responses that arrive out of order are discarded.
+         */
+        Ajax: function () {
+            var v = new GoodForm.Validation(arguments, null, true);
+            v.type = "Ajax";
+            v.include = [].concat(v.include);
+            v.parameters = function () {
+                var params = {};
+                for (var i = 0; incl = v.include[i]; ++i) {
+                    if (value = GoodForm.Helpers.getValuesByName(incl))
+                        params[incl] = value;
+                    else if (pair = incl.split("="))
+                        params[pair[0]] = pair[1];
+                }
+                return params;
+            }
+            v.pushParameters = function () {
+                var params = v.parameters();
+                for (var param in params)
+                    GoodForm.Validate.queue[param] = params[param];
+            }
+            v.cacheKey = function (name, value) {
+                return JSON.stringify([name, value, v.parameters()]);
+            }
+        },
+
+        /*
+         *   Validates.AdHoc("number", { "with": function (value) { return value == 1; }, message: "ones only" });
+         */
+        AdHoc: function () {
+            var v = new GoodForm.Validation(arguments);
+            v.type = "AdHoc";
+            v.validate = function (value) {
+                if (!v["with"](value))
+                    return GoodForm.Helpers.message(v.message, "invalid", { value: value });
+            }
+        }
+    },
+
+    Validate: {
+        /*
+         * The queue manages the remote validation process: whenever Validate()
+         * is called, remote validations are moved to the queue. The queue is
+         * cleared when Validate.Run() is called.
+         */
+        queue: {},
+
+        /*
+         * Keeps track of validation responses over the course of a validation.
+         * Both local and remote reponses are stored here.
+         */
+        response: {},
+
+        /*
+         * References the names with an Ajax validation in flight, by the
+         * number of the request that will answer them.
+         */
+        pending: {},
+
+        /*
+         * Counts the Ajax validation requests sent.
+         */
+        requests: 0,
+
+        /*
+         * References the number of the latest Ajax request sent for each
+         * name. Responses to earlier requests are stale and are discarded.
+         */
+        sequence: {},
+
+        /*
+         * References Ajax requests that are scheduled (debounced) or still in
+         * flight, by request number: { names, timer, handle }.
+         */
+        inflight: {},
+
+        /*
+         * Cached Ajax validation answers, for validations defined with the
+         * +cache+ option: { name, response, expires }, by cache key.
+         */
+        cache: {},
+
+        /*
+         * Callbacks waiting for the pending Ajax response of a name, by name.
+         */
+        waiting: {},
+
+        /*
+         * The error messages shown for each invalid name (see
+         * GoodForm.errors).
+         */
+        errors: {},
+
+        /*
+         * Validates a form item by name.
+         *
+         *   Validate("login");
+         *
+         * Returns true if valid, false if not (or still loading).
+         *
+         * Configuration options:
+         *
+         * - +defer+ - Hold validation response in the queue.
+         * - +local+ - Only run local validations.
+         * - +scope+ - Only run under the scope of a single form.
+         * - +silent+ - Apply responses without showing them: callbacks run,
+         *   the Effect does not.
+         * - +context+ - The validation context, e.g. "create" or "update"
+         *   (default is: GoodForm.context). Validations defined with an +on+
+         *   option only run in the context(s) named.
+         * - +dependents+ - Set to false to skip validating the items compared
+         *   against this one (see Validates.Comparison) again. Items still
+         *   blank are always skipped.
+         * - +result+ - Set to true to return a result object in place of a
+         *   boolean (see GoodForm.Helpers.result):
+         *
+         *     Validate("email", { result: true });
+         *     // { valid: false, pending: false, errors: { email: ["is invalid"] },
+         *     //   messages: { email: "is invalid" } }
+         */
+        Name: function (name, options) {
+            name = GoodForm.Helpers.extractName(name);
+            options = GoodForm.Helpers.extractOptions(options);
+            var requests = GoodForm.Validate.requests;
+            if (!options.defer) GoodForm.Validate.response = {}; // Initialize
+
+            var value = GoodForm.Helpers.getValuesByName(name, options.scope);
+            if (value == undefined) return;
+
+            if (GoodForm.Helpers.runCallbacks("beforeValidate", name, [name, value]) === false)
+                return;
+
+            var context = options.context || GoodForm.context;
+            if (!options.local)
+                var remote = GoodForm.Validate.Queue("remote", name, value, context);
+            if (!remote)
+                GoodForm.Validate.Queue("local", name, value, context);
+
+            if (options.defer)
+                return name ? GoodForm.Validate.response[name] : undefined;
+
+            var valid = GoodForm.Validate.Run({ silent: options.silent });
+            var response = GoodForm.Validate.response, dependents = [];
+            if (options.dependents !== false)
+                dependents = GoodForm.Helpers.dependents(name);
+            for (var i = 0, dependent; dependent = dependents[i]; ++i) {
+                if (/^\s*$/.test(GoodForm.Helpers.getValuesByName(dependent, options.scope) || ""))
+                    continue;
+                GoodForm.Validate.Name(dependent, { dependents: false, silent: options.silent,
+                    scope: options.scope, context: options.context });
+                for (var key in GoodForm.Validate.response)
+                    response[key] = GoodForm.Validate.response[key];
+            }
+            GoodForm.Validate.response = response;
+            return options.result ? GoodForm.Helpers.result(response, requests) : valid;
+        },
+
+        /*
+         * Queues up validations. Remote validations goto Validate.queue till
+         * the Ajax response (unless a cached answer is known). All
+         * validations end up in Validate.response.
+         */
+        Queue: function (type, name, value, context) {
+            var validations = GoodForm.Helpers.forName(GoodForm[type], name), hit;
+            if (!validations.length) return null;
+            for (var i = 0, len = validations.length; i < len; ++i) {
+                var v = validations[i];
+                switch (true) {
+                    case (v.on != undefined && !GoodForm.Helpers.inContext(v.on, context)):
+                    case (v.allowBlank && /^\s*$/.test(value)):
+                    case (v.allowNull && value == ""):
+                    case (v["if"] && !v["if"](name, context)):
+                    case (v.unless && v.unless(name, context)):
+                        break;
+                    default:
+                        if (type == "remote") {
+                            var cached = v.cache && GoodForm.Validate.cache[v.cacheKey(name, value)];
+                            if (cached && (!cached.expires || cached.expires > new Date().getTime())) {
+                                GoodForm.Validate.response[name] = cached.response, hit = true;
+                                // The cached answer supersedes requests still to come for the name
+                                GoodForm.Validate.sequence[name] = 0;
+                                if (GoodForm.Validate.pending[name])
+                                    GoodForm.Validate.Settle(name, GoodForm.Validate.pending[name], cached.response);
+                                GoodForm.Validate.Cancel();
+                            } else {
+                                GoodForm.Validate.queue[name] = value;
+                                v.pushParameters();
+                            }
+                        } else if (error = v.validate(value, name)) {
+                            error = GoodForm.Helpers.interpolate(error,
+                                { attribute: GoodForm.humanAttributeName(name) });
+                            var errors = GoodForm.Validate.response[name] || [];
+                            GoodForm.Validate.response[name] = errors.concat(error);
+                        }
+                }
+            }
+            if (type == "remote")
+                return GoodForm.Validate.queue[name] || hit;
+            else if (!GoodForm.Validate.response[name])
+                GoodForm.Validate.response[name] = GoodForm.validMessages[name]
+                                                || GoodForm.validMessage;
+            return GoodForm.Validate.response[name];
+        },
+
+        /*
+         * Runs every validation on the page (can be scoped with one argument
+         * to a specific form). Takes the +context+ option of Validate():
+         *
+         *   Validate.All("edit_user", { context: "update" });
+         *
+         * Returns true if every form element is valid, or, with the +result+
+         * option, a result object (see Validate()).
+         *
+         * When validations fail, their full messages are announced in an
+         * assertive live region (see GoodForm.Helpers.announce).
+         */
+        All: function (form, options) {
+            if (form && form.constructor == Object) options = form, form = null;
+            options = GoodForm.Helpers.extractOptions(options);
+            GoodForm.Validate.response = {};
+            var requests = GoodForm.Validate.requests;
+
+            for (var pattern in GoodForm.remote)
+                for (var i = 0, names = GoodForm.Helpers.expandName(pattern, form), name; name = names[i]; ++i)
+                    GoodForm.Validate.Name(name, { defer: true, scope: form, context: options.context });
+
+            for (var pattern in GoodForm.local)
+                for (var i = 0, names = GoodForm.Helpers.expandName(pattern, form), name; name = names[i]; ++i)
+                    if (!GoodForm.Validate.response[name])
+                        GoodForm.Validate.Name(name, { defer: true, scope: form, context: options.context });
+
+            var messages = [];
+            for (var name in GoodForm.Validate.response)
+                if (GoodForm.Helpers.parseResponse(GoodForm.Validate.response[name]) == "error")
+                    for (var i = 0, errors = [].concat(GoodForm.Validate.response[name]); i < errors.length; ++i)
+                        messages.push(GoodForm.fullMessage(name, errors[i]));
+            var valid = GoodForm.Validate.Run();
+            if (messages.length)
+                GoodForm.Helpers.announce(GoodForm.translate("summary",
+                    { count: messages.length }) + " " + messages.join(". "));
+            return options.result ? GoodForm.Helpers.result(GoodForm.Validate.response, requests) : valid;
+        },
+
+        /*
+         * Runs a local validation silently. Returns true if valid, false if not.
+         */
+        Local: function (name, context) {
+            context = context || GoodForm.context;
+            for (var i = 0, v, validations = GoodForm.Helpers.forName(GoodForm.local, name); v = validations[i]; ++i)
+                if (v.on != undefined && !GoodForm.Helpers.inContext(v.on, context))
+                    continue;
+                else if (v.validate(GoodForm.Helpers.getValuesByName(name), name))
+                    return false;
+            return true;
+        },
+
+        /*
+         * Runs an ajax validation with the values populated in the queue.
+         */
+        Remote: function () {
+            var params = [], queue = GoodForm.Validate.queue;
+            for (var name in queue) {
+                var values = [].concat(queue[name]);
+                for (var i = 0; value = values[i]; ++i)
+                    params.push(name + "=" + encodeURIComponent(value));
+            }
+
+            if (params.length < 1) return false;
+
+            var names = [], request = ++GoodForm.Validate.requests, delay = 0, abort, caches = {};
+            for (var name in queue)
+                if (GoodForm.Helpers.forName(GoodForm.remote, name).length) {
+                    names.push(name);
+                    GoodForm.Validate.pending[name] = GoodForm.Validate.sequence[name] = request;
+                    for (var i = 0, v, validations = GoodForm.Helpers.forName(GoodForm.remote, name); v = validations[i]; ++i) {
+                        if (v.debounce > delay) delay = v.debounce;
+                        if (v.abortPrevious) abort = true;
+                        if (v.cache) caches[name] = { key: v.cacheKey(name, queue[name]), ttl: v.ttl };
+                    }
+                    GoodForm.Helpers.runCallbacks("remoteStart", name, [name, queue[name]]);
+                }
+            GoodForm.Validate.Cancel(abort);
+
+            for (var i = 0; name = names[i]; ++i)
+                new GoodForm.Validate.Effect(name); // No response: loading.
+
+            var transport = GoodForm.transport, method = transport.method.toUpperCase(), token;
+            var req = { method: method, url: location.protocol + "//" + location.host
+                + GoodForm.remotePath, headers: {}, body: null };
+            req.headers["X-Requested-With"] = "XMLHttpRequest";
+            req.headers["Accept"] = "application/json";
+            if (transport.csrf && (token = GoodForm.Helpers.csrfToken()))
+                req.headers["X-CSRF-Token"] = token;
+            for (var header in transport.headers)
+                req.headers[header] = transport.headers[header];
+
+            if (method == "GET")
+                req.url += "?" + params.join("&");
+            else if (transport.encoding == "json") {
+                req.headers["Content-Type"] = "application/json";
+                req.body = JSON.stringify(queue);
+            } else {
+                req.headers["Content-Type"] = "application/x-www-form-urlencoded";
+                req.body = params.join("&");
+            }
+
+            var complete = function (status, responseText) {
+                delete GoodForm.Validate.inflight[request];
+                var current = [];
+                for (var i = 0; name = names[i]; ++i)
+                    if (GoodForm.Validate.sequence[name] == request)
+                        current.push(name);
+                if (names.length && !current.length) return; // Stale
+
+                var json = {}, error;
+                if (status >= 200 && status < 300)
+                    try { json = GoodForm.Helpers.parseJSON(responseText); }
+                    catch (e) { error = e; }
+                else
+                    error = new Error("GoodForm: validation request failed with status " + status);
+
+                if (error) {
+                    error.status = status, error.responseText = responseText;
+                    for (var i = 0; name = current[i]; ++i)
+                        if (GoodForm.Helpers.runCallbacks("remoteError", name, [name, error]) !== false)
+                            GoodForm.Validate.Respond(name, [GoodForm.translate("unavailable")]);
+                } else
+                    for (var name in json) {
+                        var sequence = GoodForm.Validate.sequence[name];
+                        if (sequence != undefined && sequence != request) continue; // Stale
+                        if (json[name] === null) // Valid
+                            json[name] = GoodForm.validMessages[name] || GoodForm.validMessage;
+                        if (caches[name])
+                            GoodForm.Validate.cache[caches[name].key] = { name: name, response: json[name],
+                                expires: caches[name].ttl ? new Date().getTime() + caches[name].ttl : null };
+                        GoodForm.Helpers.runCallbacks("remoteComplete", name, [name, json[name]]);
+                        GoodForm.Validate.Respond(name, json[name]);
+                    }
+                for (var i = 0; name = current[i]; ++i)
+                    GoodForm.Validate.Settle(name, request, json[name]);
+            };
+
+            var inflight = GoodForm.Validate.inflight[request] = { names: names };
+            var send = function () {
+                delete inflight.timer;
+                var handle = (transport.send || GoodForm.Helpers.xhr)(req, complete);
+                if (GoodForm.Validate.inflight[request]) inflight.handle = handle;
+            };
+            if (GoodForm.registry) // Respond within the same registry
+                complete = GoodForm.registry.wrap(complete), send = GoodForm.registry.wrap(send);
+            if (delay)
+                inflight.timer = setTimeout(send, delay);
+            else
+                send();
+            return true;
+        },
+
+        /*
+         * Cancels scheduled Ajax requests whose every name has since been
+         * sent again. With abort, superseded requests already in flight are
+         * aborted, too (when the transport returns an object with an abort
+         * function, as XMLHttpRequest does).
          */
-        Format: function () {
-            var v = new GoodForm.Validation(arguments, "invalid");
-            v.validate = function (value) {
-                if (!v["with"].test(value))
-                    return v.message;
+        Cancel: function (abort) {
+            for (var request in GoodForm.Validate.inflight) {
+                var inflight = GoodForm.Validate.inflight[request], name;
+                for (var i = 0; name = inflight.names[i]; ++i)
+                    if (GoodForm.Validate.sequence[name] == request) break;
+                if (name) continue; // Still the latest for a name
+
+                if (inflight.timer)
+                    clearTimeout(inflight.timer);
+                else if (abort && inflight.handle && inflight.handle.abort)
+                    inflight.handle.abort();
+                else
+                    continue;
+                delete GoodForm.Validate.inflight[request];
             }
         },
 
         /*
-         * Validates whether the value of the specified attribute is available
-         * in a particular array.
+         * Clears a name's pending state once the Ajax request answering it
+         * completes, and hands its response to any waiting callbacks.
+         */
+        Settle: function (name, request, response) {
+            if (GoodForm.Validate.pending[name] != request) return;
+            delete GoodForm.Validate.pending[name];
+            var waiting = GoodForm.Validate.waiting[name] || [];
+            delete GoodForm.Validate.waiting[name];
+            for (var i = 0, len = waiting.length; i < len; ++i)
+                waiting[i](response);
+        },
+
+        /*
+         * Runs a validation function (one of Validate.Name or Validate.All,
+         * called with the remaining arguments) and returns a Promise that
+         * resolves once every Ajax validation it sent has responded. Resolves
+         * to true if every response, local and remote, is valid, or to a
+         * result object when called with the +result+ option.
          *
-         *   Validates.Inclusion("gender", { inOption: ["m", "f"], message: "woah! what are you then!??!!" });
-         *   Validates.Inclusion("format", { inOption: ["jpg", "gif", "png"], message: "extension %s is not included in the list" });
+         * NOTE: Requires Promise; load a polyfill for browsers without it.
+         */
+        Await: function (validate, args) {
+            if (typeof Promise == "undefined")
+                throw new Error("GoodForm: Validate.async requires Promise");
+            var result;
+            for (var i = 0, len = args.length; i < len; ++i)
+                if (args[i] && args[i].constructor == Object && args[i].result) result = true;
+            return new Promise(function (resolve) {
+                var requests = GoodForm.Validate.requests;
+                validate.apply(GoodForm.Validate, args);
+
+                var responses = {}, count = 1;
+                for (var name in GoodForm.Validate.response)
+                    responses[name] = GoodForm.Validate.response[name];
+
+                var done = function () {
+                    if (--count > 0) return;
+                    if (result) return resolve(GoodForm.Helpers.result(responses));
+                    for (var name in responses)
+                        if (GoodForm.Helpers.parseResponse(responses[name]) != "valid")
+                            return resolve(false);
+                    resolve(true);
+                };
+                for (var name in GoodForm.Validate.pending)
+                    if (GoodForm.Validate.pending[name] > requests) {
+                        responses[name] = undefined, count++;
+                        (GoodForm.Validate.waiting[name] || (GoodForm.Validate.waiting[name] = [])).push(
+                            function (name) {
+                                return function (response) { responses[name] = response, done(); };
+                            }(name));
+                    }
+                done();
+            });
+        },
+
+        /*
+         * Like Validate(), but returns a Promise that resolves once local and
+         * remote validations have both settled:
          *
-         * Configuration options:
+         *   Validate.async("email").then(function (valid) { ... });
+         */
+        Async: function () {
+            return GoodForm.Validate.Await(GoodForm.Validate.Name, arguments);
+        },
+
+        /*
+         * Like Validate.All(), but returns a Promise that resolves once local
+         * and remote validations have both settled:
          *
-         * - +"in"+, or +inOption+ - An array of available items
-         * - +message+ - Specifies a custom error message (default is: "is not
-         *   included in the list")
-         * - +allowNull+ - If set to true, skips this validation if the
-         *   attribute is null (default is: false)
-         * - +allowBlank+ - If set to true, skips this validation if the
-         *   attribute is blank (default is: false)
+         *   form.onsubmit = function () {
+         *       Validate.All.async(form).then(function (valid) {
+         *           if (valid) form.submit();
+         *       });
+         *       return false;
+         *   };
          */
-        Inclusion: function () {
-            var v = new GoodForm.Validation(arguments, "inclusion");
-            if (v.inOption) v["in"] = v.inOption;
-            v.validate = function (value) {
-                for (var i = 0, len = v["in"].length; i < len; ++i)
-                    if (value == v["in"][i])
-                        return;
-                return v.message.replace(/%s/g, value);
-            }
+        AllAsync: function () {
+            return GoodForm.Validate.Await(GoodForm.Validate.All, arguments);
         },
 
         /*
-         * Validates that the specified attribute matches the length
-         * restrictions supplied. Only one option can be used at a time:
+         * A GoodForm.Validate.Effect object is created whenever validation is
+         * run.
          *
-         *   Validates.Length("first_name", { maximum: 30 });
-         *   Validates.Length("last_name", { maximum: 30, message: "less than %d if you don't mind" });
-         *   Validates.Length("fax", { inOption: [7, 32], allowNull: true });
-         *   Validates.Length("phone", { inOption: [7, 32], allowBlank: true });
-         *   Validates.Length("user_name", { within: [6, 20], tooLong: "pick a shorter name", tooShort: "pick a longer name" });
-         *   Validates.Length("fav_bra_size", { minimum: 1, tooShort: "please enter at least %d character" });
-         *   Validates.Length("smurf_leader", { is: 4, message: "papa is spelled with %d characters... don't play me." });
+         * By default, it looks for an element matching the form element's
+         * name, plus "_validation". E.g., for "phone_number" it would look for
+         * "phone_number_validation". If this element isn't found, it creates
+         * a span and inserts it into the DOM directly after the form element.
          *
-         * Configuration options:
+         * Names are passed through GoodForm.Helpers.underscore to keep the DOM
+         * valid: "user[email]" becomes, therefore, "user_email_validation".
          *
-         * - +minimum+ - The minimum size of the attribute
-         * - +maximum+ - The maximum size of the attribute
-         * - +is+ - The exact size of the attribute
-         * - +within+ - An array specifying the minimum and maximum size of the
-         *   attribute
-         * - +"in"+, or +inOption+ - Synonyms (aliases) for +within+
-         * - +allowNull+ - Attribute may be null; skip validation.
-         * - +allowBlank+ - Attribute may be blank; skip validation.
-         * - +tooLong+ - The error message if the attribute goes over the
-         *   maximum (default is: "is too long (maximum is %d characters)")
-         * - +tooShort+ - The error message if the attribute goes under the
-         *   minimum (default is: "is too short (min is %d characters)")
-         * - +wrongLength+ - The error message if using the +is+ method and the
-         *   attribute is the wrong size (default is: "is the wrong length
-         *   (should be %d characters)")
-         * - +message+ - The error message to use for a +minimum+, +maximum+,
-         *   or +is+ violation. An alias of the appropriate
-         *   too_long/too_short/wrong_length message
+         * Upon validation, this element is given a className of "valid",
+         * "error", or, during the loading phase of an Ajax request, "loading".
+         * Error messages are shown as text, never as HTML.
          *
-         * This method is also aliased as Validates.Size()
+         * Validations that grade values, as Validates.PasswordStrength does,
+         * add their grade to the className: "good_form valid strong".
+         *
+         * For assistive technology, the element is a polite live region, and
+         * the form element is described by it (aria-describedby), marked
+         * aria-invalid, and marked aria-busy while an Ajax request is loading.
+         *
+         * Override this function to customize visual validation. It accepts
+         * two arguments:
+         *
+         *   - +name+ - The validated form item name.
+         *   - +response+ - The validation response. Invalid objects return an
+         *     array of error messages; valid objects return null or a preset
+         *     valid string.
          */
-        Length: function () {
-            var v = new GoodForm.Validation(arguments);
-            if (v.inOption) v["in"] = v.inOption;
-            if (range = v.within || v["in"])
-                v.minimum = range[0], v.maximum = range[range.length - 1];
-            else if (v.is)
-                v.minimum = v.maximum = v.is;
-            v.validate = function (value) {
-                var len = value ? value.length : 0;
-                if (v.minimum == v.maximum && len != v.minimum)
-                    return (v.wrongLength || v.message
-                        || GoodForm.defaultErrorMessages.wrongLength).replace(/%d/g, v.minimum)
-                if (len < v.minimum)
-                    return (v.tooShort || v.message
-                        || GoodForm.defaultErrorMessages.tooShort).replace(/%d/g, v.minimum)
-                if (v.maximum && len > v.maximum)
-                    return (v.tooLong || v.message
-                        || GoodForm.defaultErrorMessages.tooLong).replace(/%d/g, v.maximum)
+        Effect: function (name, response) {
+            var el = GoodForm.Helpers.findOrCreateValidationSpan(name);
+            if (el) {
+                var status = GoodForm.Helpers.parseResponse(response), classNames = ["good_form", status];
+                var validations = GoodForm.Helpers.forName(GoodForm.local, name), grade;
+                for (var i = 0, v; v = validations[i]; ++i)
+                    if (v.grade && (grade = v.grade(GoodForm.Helpers.getValuesByName(name), name)))
+                        classNames.push(grade);
+                el.className = classNames.join(" ");
+
+                var fields = GoodForm.Helpers.getElementsByName(name);
+                for (var i = 0, field; field = fields[i]; ++i) {
+                    GoodForm.Helpers.addDescription(field, el.id);
+                    if (status == "loading")
+                        field.setAttribute("aria-busy", "true");
+                    else {
+                        field.removeAttribute("aria-busy");
+                        field.setAttribute("aria-invalid", status == "error" ? "true" : "false");
+                    }
+                }
+
+                switch (status) {
+                    case ("loading"):
+                        el.innerHTML = GoodForm.loadingMessage;
+                        break;
+                    case ("valid"):
+                        el.innerHTML = response || GoodForm.validMessages[name] || GoodForm.validMessage;
+                        break;
+                    case ("error"):
+                        el.innerHTML = ""; // Messages may hold the value, so are shown as text
+                        el.appendChild(document.createTextNode(GoodForm.Helpers.errorMessage(name, response)));
+                        break;
+                }
             }
         },
 
         /*
-         * Validates whether the value of the specified attribute is numeric by
-         * trying to convert it to a float with Math.parseFloat (if onlyInteger
-         * is false) or applying it to the regular expression /^[+\-]?\d+$/ (if
-         * onlyInteger is set to true).
-         *
-         *   Validates.Numericality("value");
-         *
-         * Configuration options:
-         *
-         * - +message+ - A custom error message (default is: "is not a number")
-         * - +onlyInteger+ - Specifies whether the value has to be an integer,
-         *   e.g. an integral value (default is false)
-         * - +allowNull+ - Skip validation if attribute is null (default is
-         *   false).
-         * - +greaterThan+ - Specifies the value must be greater than the
-         *   supplied value
-         * - +greaterThanOrEqualTo+ - Specifies the value must be greater than
-         *   or equal the supplied value
-         * - +equalTo+ - Specifies the value must be equal to the supplied
-         *   value
-         * - +lessThan+ - Specifies the value must be less than the supplied
-         *   value
-         * - +lessThanOrEqualTo+ - Specifies the value must be less than or
-         *   equal the supplied value
-         * - +odd+ - Specifies the value must be an odd number
-         * - +even+ - Specifies the value must be an even number
+         * Applies a single validation response: runs the afterValidate and
+         * valid or invalid callbacks for the name, then the Effect (unless
+         * silent).
          */
-        Numericality: function () {
-            var v = new GoodForm.Validation(arguments);
-            v.validate = function (value) {
-                if (v.onlyInteger && !/^[+\-]?\d+$/.test(value) || value != parseFloat(value))
-                    return v.message || GoodForm.defaultErrorMessages.notANumber;
-                if (v.greaterThan && value <= v.greaterThan)
-                    return v.message
-                        || GoodForm.defaultErrorMessages.greaterThan.replace(/%d/g, v.greaterThan);
-                if (v.greaterThanOrEqualTo && value < v.greaterThanOrEqualTo)
-                    return v.message
-                        || GoodForm.defaultErrorMessages.greaterThanOrEqualTo.replace(/%d/g, v.greaterThanOrEqualTo);
-                if (v.equalTo && value != v.equalTo)
-                    return v.message
-                        || GoodForm.defaultErrorMessages.equalTo.replace(/%d/g, v.equalTo);
-                if (v.lessThan && value >= v.lessThan)
-                    return v.message
-                        || GoodForm.defaultErrorMessages.lessThan.replace(/%d/g, v.lessThan);
-                if (v.lessThanOrEqualTo && value > v.lessThanOrEqualTo)
-                    return v.message
-                        || GoodForm.defaultErrorMessages.lessThanOrEqualTo.replace(/%d/g, v.lessThanOrEqualTo);
-                if (v.odd && value % 2 != 1)
-                    return v.message || GoodForm.defaultErrorMessages.odd;
-                if (v.even && value % 2 != 0)
-                    return v.message || GoodForm.defaultErrorMessages.even;
+        Respond: function (name, response, silent) {
+            var args = [name, response, !!silent];
+            if (GoodForm.Helpers.parseResponse(response) == "error")
+                GoodForm.Validate.errors[name] = [].concat(response);
+            else
+                delete GoodForm.Validate.errors[name];
+            GoodForm.Helpers.runCallbacks("afterValidate", name, args);
+            GoodForm.Helpers.runCallbacks(GoodForm.Helpers.parseResponse(response) == "error"
+                ? "invalid" : "valid", name, args);
+            if (!silent)
+                new GoodForm.Validate.Effect(name, response);
+        },
+
+        /*
+         * Sends queued Ajax validations and applies local validation
+         * responses (and cached Ajax answers) at once. Returns true if
+         * every response is valid, false if any is not, or if an Ajax
+         * validation was sent.
+         */
+        Run: function (options) {
+            options = GoodForm.Helpers.extractOptions(options);
+            var sent = GoodForm.Validate.queue && GoodForm.Validate.Remote();
+            for (var name in GoodForm.Validate.response) // Ajax responses are applied as they come
+                GoodForm.Validate.Respond(name, GoodForm.Validate.response[name], options.silent);
+
+            GoodForm.Validate.queue = {};
+            if (sent) return false;
+            for (var name in GoodForm.Validate.response)
+                if (GoodForm.Helpers.parseResponse(GoodForm.Validate.response[name]) != "valid")
+                    return false;
+            return true;
+        }
+    },
+
+    Helpers: {
+        /*
+         * Returns the last object out of an array of arguments. If no object
+         * exists, a new object is returned.
+         */
+        extractOptions: function (input) {
+            if (input) {
+                if (input.constructor == Object)
+                    return input;
+                else if (input.constructor == Array) {
+                    var last = input[input.length - 1];
+                    if (last.constructor == Object)
+                        return input.pop();
+                }
             }
+            return {};
         },
 
         /*
-         * Validates that the specified attributes are not blank (as realized
-         * by /^\s*$/.test(value). Example:
-         *
-         *   Validates.Presence("first_name");
-         *
-         * The first_name attribute cannot be blank.
-         *
-         * Configuration options:
-         *
-         * - +message+ - A custom error message (default is: "can't be blank")
+         * Runs the callbacks registered for an event, first for every name,
+         * then for the given name. Returns false if any callback did.
          */
-        Presence: function () {
-            var v = new GoodForm.Validation(arguments, "blank");
-            v.validate = function (value) {
-                if (/^\s*$/.test(value || ""))
-                    return v.message;
+        runCallbacks: function (event, name, args) {
+            var callbacks = GoodForm.callbacks[event], result;
+            if (!callbacks) return;
+            var list = [].concat(callbacks["*"] || [], GoodForm.Helpers.forName(callbacks, name));
+            for (var i = 0, len = list.length; i < len; ++i)
+                if (list[i].apply(GoodForm, args) === false)
+                    result = false;
+            return result;
+        },
+
+        /*
+         * Returns the name a Validates function is registered under.
+         */
+        validationType: function (fn) {
+            if (fn)
+                for (var type in GoodForm.Validates)
+                    if (GoodForm.Validates[type] == fn)
+                        return type;
+        },
+
+        /*
+         * Converts a validation option into plain data for
+         * GoodForm.exportRules.
+         */
+        exportOption: function (value) {
+            if (value == undefined) return null;
+            if (value.constructor == RegExp)
+                return { source: value.source, flags: (value.global ? "g" : "")
+                    + (value.ignoreCase ? "i" : "") + (value.multiline ? "m" : "") };
+            if (value.constructor == Array) {
+                var values = [];
+                for (var i = 0, len = value.length; i < len; ++i)
+                    values.push(GoodForm.Helpers.exportOption(value[i]));
+                return values;
             }
+            if (value.nodeType) return value.name;
+            if (value.constructor == Date) return { time: value.getTime() };
+            return value;
         },
 
         /*
-         * Handles validation with Ajax should the server be consulted for
-         * validity.
-         *
-         * E.g., if email addresses must be unique:
-         *
-         *   Validates.Ajax("email");
-         *
-         * When the item is validated, a "GET" request is sent to the path
-         * specified by Validates.Base.AjaxPath, with the item's attributes 
-         * serialized in a query string. The server should respond with a JSON
-         * string of name-value pairs reflecting the name attribute of the item
-         * validated, and the status of the validation. Invalid items should
-         * return an array of error messages. Valid items should return null,
-         * or a custom string stating validity:
-         *
-         *   { email: ["is invalid"] } // Invalid
-         *   { email: null }           // Valid
-         *   { email: "OK" }           // Valid with message
-         *
-         * Configuration options:
+         * Converts plain data from GoodForm.exportRules back into a
+         * validation option.
+         */
+        importOption: function (value) {
+            if (value == undefined) return value;
+            if (value.constructor == Array) {
+                var values = [];
+                for (var i = 0, len = value.length; i < len; ++i)
+                    values.push(GoodForm.Helpers.importOption(value[i]));
+                return values;
+            }
+            if (value.constructor == Object && value.source != undefined)
+                return new RegExp(value.source, value.flags);
+            if (value.constructor == Object && value.time != undefined)
+                return new Date(value.time);
+            return value;
+        },
+
+        /*
+         * Converts a data attribute value into a validation option value for
+         * GoodForm.scan.
+         */
+        parseAttribute: function (option, value) {
+            if (option == "with") {
+                var match = /^\/(.*)\/([gim]*)$/.exec(value);
+                return match ? new RegExp(match[1], match[2]) : new RegExp(value);
+            }
+            if (/^(in|within|include|schemes|blacklist|fields)$/.test(option))
+                return value.split(/\s*,\s*/); // Kept as strings: "01,02"
+            if (value == "true" || value == "false")
+                return value == "true";
+            if (/^[+\-]?\d+(\.\d+)?$/.test(value))
+                return parseFloat(value);
+            return value;
+        },
+
+        /*
+         * Returns an error message: the given custom message (a validation's
+         * +message+ option, for example), or else the message for the key in
+         * the current locale, interpolated with the given values.
+         */
+        message: function (custom, key, values) {
+            return custom != undefined
+                ? GoodForm.Helpers.interpolate(custom, values)
+                : GoodForm.translate(key, values);
+        },
+
+        /*
+         * Replaces %{name} placeholders in a message with the given values
+         * (and %d and %s with +count+ and +value+), leaving placeholders
+         * without a value in place. Objects of plural forms are first
+         * resolved with the +count+ value.
          *
-         * - +include+ - one or more elements, element names, or parameters in
-         *   the form of "name=value".
+         *   GoodForm.Helpers.interpolate("must be %{count} long", { count: 3 }); // "must be 3 long"
          */
-        Ajax: function () {
-            var v = new GoodForm.Validation(arguments, null, true);
-            v.include = [].concat(v.include);
-            v.pushParameters = function () {
-                for (var i = 0; incl = v.include[i]; ++i) {
-                    if (value = GoodForm.Helpers.getValuesByName(incl))
-                        GoodForm.Validate.queue[incl] = value;
-                    else if (pair = incl.split("="))
-                        GoodForm.Validate.queue[pair[0]] = pair[1];
+        interpolate: function (message, values) {
+            values = values || {};
+            if (message != undefined && message.constructor == Object) {
+                var rule = GoodForm.pluralRules[GoodForm.locale] || GoodForm.pluralRules.en;
+                message = message[rule(values.count)] || message.other;
+            }
+            if (message == undefined || message.constructor != String) return message;
+            return message.replace(/%\{(\w+)\}|%([ds])/g, function (match, name, legacy) {
+                name = name || { d: "count", s: "value" }[legacy];
+                return values[name] != undefined ? values[name] : match;
+            });
+        },
+
+        /*
+         * Validates a date or time value (+type+ is "date" or "time") for
+         * Validates.Date and Validates.Time: returns an error message if
+         * it can't be read or falls outside the validation's bounds.
+         */
+        validateTimestamp: function (v, type, value) {
+            var formats = GoodForm.Helpers.timestampFormats(type, v.format);
+            var time = GoodForm.Helpers.parseTimestamp(value, formats);
+            if (!time)
+                return GoodForm.Helpers.message(v.message, v.defaultMessage, { value: value });
+
+            var bounds = ["before", "after", "onOrBefore", "onOrAfter"];
+            for (var i = 0, bound; bound = bounds[i]; ++i) {
+                if (v[bound] == undefined) continue;
+                var restriction = GoodForm.Helpers.timestampBound(v[bound], type,
+                    formats.concat(GoodForm.dateFormats.iso[type]));
+                if (!restriction) continue;
+                var diff = time - restriction;
+                if (bound == "before" && diff >= 0 || bound == "after" && diff <= 0
+                        || bound == "onOrBefore" && diff > 0 || bound == "onOrAfter" && diff < 0)
+                    return GoodForm.Helpers.message(v.message, bound, { value: value,
+                        restriction: GoodForm.Helpers.formatTimestamp(restriction, formats[0]) });
+            }
+        },
+
+        /*
+         * Returns the patterns to read a date or time in: the given ones, or
+         * those of the current locale followed by the ISO ones.
+         */
+        timestampFormats: function (type, format) {
+            if (format) return [].concat(format);
+            var formats = GoodForm.dateFormats[GoodForm.locale] || GoodForm.dateFormats.en;
+            return [].concat(formats[type] || [], GoodForm.dateFormats.iso[type]);
+        },
+
+        /*
+         * Reads a string in the first of the patterns that fits it, returning
+         * a Date (on January 1, 1970 for times of day), or null if none fits
+         * or it isn't a real date or time.
+         */
+        parseTimestamp: function (value, formats) {
+            var patterns = { Y: "(\\d{4})", m: "(\\d{1,2})", d: "(\\d{1,2})", H: "(\\d{1,2})",
+                             I: "(\\d{1,2})", M: "(\\d{2})", S: "(\\d{2})", p: "([ap])\\.?m\\.?" };
+            if (value == undefined || value.constructor != String) return null;
+
+            for (var i = 0, format; format = formats[i]; ++i) {
+                var tokens = [];
+                var source = format.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&").replace(/\s+/g, "\\s*")
+                    .replace(/%([YmdHIMSp])/g, function (match, token) {
+                        tokens.push(token);
+                        return patterns[token];
+                    });
+                var match = new RegExp("^\\s*" + source + "\\s*$", "i").exec(value);
+                if (!match) continue;
+
+                var parts = { Y: 1970, m: 1, d: 1, H: 0, M: 0, S: 0 };
+                for (var j = 0; j < tokens.length; ++j)
+                    parts[tokens[j]] = tokens[j] == "p" ? match[j + 1].toLowerCase() : parseInt(match[j + 1], 10);
+                if (parts.I != undefined) {
+                    if (parts.I < 1 || parts.I > 12) return null;
+                    parts.H = parts.I % 12 + (parts.p == "p" ? 12 : 0);
                 }
+
+                var time = new Date(1970, 0, 1);
+                time.setFullYear(parts.Y, parts.m - 1, parts.d);
+                time.setHours(parts.H, parts.M, parts.S, 0);
+                if (time.getMonth() != parts.m - 1 || time.getDate() != parts.d
+                        || time.getHours() != parts.H || time.getMinutes() != parts.M
+                        || time.getSeconds() != parts.S)
+                    return null; // E.g. February 30
+                return time;
+            }
+            return null;
+        },
+
+        /*
+         * Returns how Validates.Comparison compares two values by default:
+         * "number" if both are numeric, "date" if both are dates, or
+         * "string".
+         */
+        comparisonType: function (value, other, format) {
+            var types = ["number", "date", "time"];
+            for (var i = 0, type; type = types[i]; ++i)
+                if (GoodForm.Helpers.coerce(value, type, format) != null
+                        && GoodForm.Helpers.coerce(other, type, format) != null)
+                    return type;
+            return "string";
+        },
+
+        /*
+         * Converts a value for comparison as a "number", "date", "time" or
+         * "string", returning null if it can't be read as one.
+         */
+        coerce: function (value, type, format) {
+            if (value == undefined || value.constructor == Array) return null;
+            switch (type) {
+                case "number":
+                    var number = GoodForm.Helpers.parseNumber(value);
+                    return number && number.value;
+                case "date":
+                case "time":
+                    var time = GoodForm.Helpers.parseTimestamp(value,
+                        GoodForm.Helpers.timestampFormats(type, format));
+                    return time && time.getTime();
+                default:
+                    return String(value);
             }
         },
 
         /*
-         *   Validates.AdHoc("number", { "with": function (value) { return value == 1; }, message: "ones only" });
+         * Reads a number written with the given decimal separator and
+         * thousands delimiter (default: those of the current locale, see
+         * GoodForm.numberFormats; a delimiter of "" allows none). Returns
+         * { value, digits, decimals, integer }, with the count of significant
+         * digits and of decimal places as written, and whether it is written
+         * without a decimal separator, or null if it isn't a number.
          */
-        AdHoc: function () {
-            var v = new GoodForm.Validation(arguments);
-            v.validate = function (value) {
-                if (!v["with"](value))
-                    return v.message || "invalid";
+        parseNumber: function (value, separator, delimiter) {
+            var escape = function (string) { return string.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&"); };
+            var formats = GoodForm.numberFormats[GoodForm.locale] || GoodForm.numberFormats.en;
+            separator = escape(separator || formats.separator);
+            delimiter = escape(delimiter != undefined ? delimiter : formats.delimiter); // "" for none
+
+            var match = new RegExp("^\\s*([+\\-]?)(\\d{1,3}(?:" + delimiter + "\\d{3})+|\\d*)(?:"
+                + separator + "(\\d*))?\\s*$").exec(value == undefined ? "" : value);
+            if (!match || !/\d/.test(match[2] + (match[3] || ""))) return null;
+
+            var integer = match[2].replace(new RegExp(delimiter, "g"), "").replace(/^0+/, "");
+            var fraction = match[3] || "";
+            return { value: parseFloat(match[1] + (integer || "0") + "." + (fraction || "0")),
+                     digits: integer.length + fraction.length, decimals: fraction.length,
+                     integer: match[3] == undefined };
+        },
+
+        /*
+         * Returns true if a file's MIME type or extension matches any of a
+         * list of types ("application/pdf"), globs ("image/*") or extensions
+         * (".pdf" or "pdf").
+         */
+        acceptsFile: function (accept, type, extension) {
+            for (var i = 0, pattern; pattern = accept[i]; ++i) {
+                pattern = pattern.toLowerCase();
+                if (pattern.indexOf("/") < 0) {
+                    if (pattern.replace(/^\./, "") == extension.toLowerCase()) return true;
+                } else if (type && (pattern == type.toLowerCase() || /\/\*$/.test(pattern)
+                        && type.toLowerCase().indexOf(pattern.slice(0, -1)) == 0))
+                    return true;
             }
-        }
-    },
+            return false;
+        },
 
-    Validate: {
         /*
-         * The queue manages the remote validation process: whenever Validate()
-         * is called, remote validations are moved to the queue. The queue is
-         * cleared when Validate.Run() is called.
+         * Reads a file size in bytes, from a number or a string like "2 MB".
          */
-        queue: {},
+        parseSize: function (size) {
+            var match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(size);
+            if (!match) return parseFloat(size);
+            return parseFloat(match[1])
+                * { b: 1, kb: 1024, mb: 1048576, gb: 1073741824 }[(match[2] || "b").toLowerCase()];
+        },
 
         /*
-         * Keeps track of validation responses over the course of a validation.
-         * Both local and remote reponses are stored here.
+         * Shows a file size in bytes as, e.g., "2 MB".
          */
-        response: {},
+        formatSize: function (size) {
+            var units = ["bytes", "KB", "MB", "GB"], i = 0;
+            while (size >= 1024 && i < units.length - 1) size /= 1024, ++i;
+            return Math.round(size * 10) / 10 + " " + (i == 0 && size == 1 ? "byte" : units[i]);
+        },
 
         /*
-         * Validates a form item by name.
-         *
-         *   Validate("login");
-         *
-         * Configuration options:
+         * Estimates the strength of a password, returning { bits, score }:
+         * its entropy in bits, and a score from 0 to 4 (under 28 bits, 36,
+         * 60, 80, and over).
          *
-         * - +defer+ - Hold validation response in the queue.
-         * - +local+ - Only run local validations.
-         * - +scope+ - Only run under the scope of a single form.
+         * Each character is worth the bits of the character classes used
+         * (lowercase, uppercase, digits, symbols), except for repeated
+         * characters and runs like "abc" or "321", worth 1 bit, and the
+         * characters of any of the given words found in the password,
+         * worth 4 bits a word.
          */
-        Name: function (name, options) {
-            name = GoodForm.Helpers.extractName(name);
-            options = GoodForm.Helpers.extractOptions(options);
-            if (!options.defer) GoodForm.Validate.response = {}; // Initialize
+        passwordStrength: function (password, words) {
+            password = String(password || "");
+            var lower = password.toLowerCase(), predictable = [], bits = 0;
+            for (var i = 0, len = (words || []).length; i < len; ++i) {
+                var word = String(words[i] || "").toLowerCase();
+                if (word.length < 3) continue;
+                for (var at = lower.indexOf(word); at > -1; at = lower.indexOf(word, at + word.length)) {
+                    for (var j = at; j < at + word.length; ++j) predictable[j] = true;
+                    bits += 4;
+                }
+            }
 
-            var value = GoodForm.Helpers.getValuesByName(name, options.scope);
-            if (value == undefined) return;
+            var pool = (/[a-z]/.test(password) ? 26 : 0) + (/[A-Z]/.test(password) ? 26 : 0)
+                     + (/\d/.test(password) ? 10 : 0) + (/[^a-zA-Z\d]/.test(password) ? 33 : 0);
+            var each = pool ? Math.log(pool) / Math.LN2 : 0;
+            for (var i = 0, len = password.length; i < len; ++i) {
+                if (predictable[i]) continue;
+                var step = password.charCodeAt(i) - password.charCodeAt(i - 1);
+                var run = i > 1 && Math.abs(step) == 1
+                    && step == password.charCodeAt(i - 1) - password.charCodeAt(i - 2);
+                bits += i > 0 && step == 0 || run ? 1 : each;
+            }
 
-            if (!options.local)
-                var remote = GoodForm.Validate.Queue("remote", name, value);
-            if (!remote)
-                GoodForm.Validate.Queue("local", name, value);
+            var thresholds = [28, 36, 60, 80], score = 0;
+            while (score < thresholds.length && bits >= thresholds[score]) ++score;
+            return { bits: Math.round(bits), score: score };
+        },
+
+        /*
+         * Returns the names of the form elements validated against the given
+         * one, e.g. by Validates.Comparison (see a validation's +dependsOn+).
+         */
+        dependents: function (name) {
+            var dependents = [];
+            for (var dependent in GoodForm.local)
+                for (var i = 0, v; v = GoodForm.local[dependent][i]; ++i)
+                    for (var j = 0, len = (v.dependsOn || []).length; j < len; ++j) {
+                        var indices = GoodForm.Helpers.nameIndices(v.dependsOn[j], name);
+                        if (!indices) continue;
+                        var concrete = GoodForm.Helpers.fillName(dependent, indices);
+                        for (var k = 0; k < dependents.length && dependents[k] != concrete; ++k);
+                        if (k == dependents.length)
+                            dependents.push(concrete);
+                    }
+            return dependents;
+        },
 
-            if (!options.defer)
-                return GoodForm.Validate.Run({ silent: options.silent });
-            if (name)
-                return GoodForm.Validate.response[name];
+        /*
+         * Returns the entries of a map by form item name (e.g. GoodForm.local)
+         * that apply to a name: its own, and those of matching wildcard names.
+         */
+        forName: function (map, name) {
+            var entries = [].concat(map[name] || []);
+            for (var pattern in map)
+                if (pattern != name && pattern.indexOf("[*]") > -1
+                        && GoodForm.Helpers.nameIndices(pattern, name))
+                    entries = entries.concat(map[pattern]);
+            return entries;
         },
 
         /*
-         * Queues up validations. Remote validations goto Validate.queue till
-         * the Ajax response. All validations end up in Validate.response.
+         * Matches a name against a wildcard name, returning the indices the
+         * wildcards stand for (an empty array if it has none), or null if it
+         * doesn't match.
+         *
+         *   nameIndices("rows[*][price]", "rows[3][price]"); // ["3"]
          */
-        Queue: function (type, name, value) {
-            if (!GoodForm[type][name]) return null;
-            for (var i = 0, len = GoodForm[type][name].length; i < len; ++i) {
-                var v = GoodForm[type][name][i];
-                switch (true) {
-                    case (v.allowBlank && /^\s*$/.test(value)):
-                    case (v.allowNull && value == ""):
-                    case (v["if"] && !v["if"](name)):
-                    case (v.unless && v.unless(name)):
-                        break;
-                    default:
-                        if (type == "remote") {
-                            GoodForm.Validate.queue[name] = value;
-                            v.pushParameters();
-                        } else if (error = v.validate(value)) {
-                            var errors = GoodForm.Validate.response[name] || [];
-                            GoodForm.Validate.response[name] = errors.concat(error);
+        nameIndices: function (pattern, name) {
+            if (pattern == name) return [];
+            if (pattern.indexOf("[*]") < 0) return null;
+            var source = pattern.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&")
+                .replace(/\\\[\\\*\\\]/g, "\\[([^\\]]+)\\]");
+            var match = new RegExp("^" + source + "$").exec(name);
+            return match && match.slice(1);
+        },
+
+        /*
+         * Replaces the wildcards of a name with indices, in order.
+         *
+         *   fillName("rows[*][quantity]", ["3"]); // "rows[3][quantity]"
+         */
+        fillName: function (pattern, indices) {
+            var i = 0;
+            return pattern.replace(/\[\*\]/g, function (match) {
+                return i < indices.length ? "[" + indices[i++] + "]" : match;
+            });
+        },
+
+        /*
+         * Returns the names a wildcard name stands for: those of the matching
+         * elements in a form (by default, the form of the registry in use),
+         * or of the matching values while validating an object. Other names
+         * stand for themselves.
+         */
+        expandName: function (pattern, form) {
+            if (pattern.indexOf("[*]") < 0) return [pattern];
+            var names = [], seen = {};
+            var add = function (name) {
+                if (!seen[name] && GoodForm.Helpers.nameIndices(pattern, name))
+                    seen[name] = true, names.push(name);
+            };
+
+            if (GoodForm.values) {
+                var walk = function (data, prefix) {
+                    for (var key in data) {
+                        var name = prefix ? prefix + "[" + key + "]" : key, value = data[key];
+                        add(name);
+                        if (value && (value.constructor == Object || value.constructor == Array)) {
+                            walk(value, name);
+                            if (value.constructor == Array) add(name + "[]");
                         }
+                    }
+                };
+                walk(GoodForm.values, "");
+            } else if (typeof document != "undefined") {
+                form = GoodForm.Helpers.extractElement(form)
+                    || GoodForm.registry && GoodForm.registry.form;
+                var tags = ["input", "select", "textarea"];
+                for (var t = 0; t < tags.length; ++t) {
+                    var els = (form || document).getElementsByTagName(tags[t]);
+                    for (var i = 0, el; el = els[i]; ++i)
+                        if (el.name) add(el.name);
                 }
             }
-            if (type == "remote")
-                return GoodForm.Validate.queue[name];
-            else if (!GoodForm.Validate.response[name])
-                GoodForm.Validate.response[name] = GoodForm.validMessages[name]
-                                                || GoodForm.validMessage;
-            return GoodForm.Validate.response[name];
+            return names;
         },
 
         /*
-         * Runs every validation on the page (can be scoped with one argument
-         * to a specific form).
+         * Shows a Date in a pattern (see GoodForm.dateFormats).
          */
-        All: function (form) {
-            GoodForm.Validate.response = {};
+        formatTimestamp: function (time, format) {
+            var pad = function (number) { return (number < 10 ? "0" : "") + number; };
+            var parts = { Y: time.getFullYear(), m: pad(time.getMonth() + 1), d: pad(time.getDate()),
+                          H: pad(time.getHours()), I: pad(time.getHours() % 12 || 12), M: pad(time.getMinutes()),
+                          S: pad(time.getSeconds()), p: time.getHours() < 12 ? "AM" : "PM" };
+            return format.replace(/%([YmdHIMSp])/g, function (match, token) { return parts[token]; });
+        },
+
+        /*
+         * Returns the names of the form elements that the bounds of a
+         * Validates.Date or Validates.Time validation refer to.
+         */
+        timestampFields: function (v) {
+            var fields = [], bounds = ["before", "after", "onOrBefore", "onOrAfter"];
+            for (var i = 0, bound; i < bounds.length; ++i)
+                if ((bound = v[bounds[i]]) && bound.constructor == String
+                        && /^[a-z_][\w\[\]*]*$/i.test(bound) && !/^(now|today|tomorrow|yesterday)$/i.test(bound))
+                    fields.push(GoodForm.Helpers.extractName(bound));
+            return fields;
+        },
 
-            for (var name in GoodForm.remote)
-                GoodForm.Validate.Name(name, { defer: true, scope: form });
+        /*
+         * Returns the Date that a bound of Validates.Date or Validates.Time
+         * stands for (see Validates.Date), or null if it can't be read.
+         */
+        timestampBound: function (bound, type, formats) {
+            if (typeof bound == "function") bound = bound();
+            if (bound == undefined || bound === "") return null;
 
-            for (var name in GoodForm.local)
-                if (!GoodForm.Validate.response[name])
-                    GoodForm.Validate.Name(name, { defer: true, scope: form });
+            var time, match;
+            if (bound.constructor == Date)
+                time = new Date(bound.getTime());
+            else if (time = GoodForm.Helpers.parseTimestamp(bound, formats))
+                return time;
+            else if ((match = /^\s*(now|today|tomorrow|yesterday)?\s*(?:([+\-])\s*(\d+)\s*(second|minute|hour|day|week|month|year)s?)?\s*$/i
+                    .exec(bound)) && (match[1] || match[2])) {
+                var base = (match[1] || (type == "date" ? "today" : "now")).toLowerCase();
+                time = new Date();
+                if (base != "now") time = new Date(time.getFullYear(), time.getMonth(),
+                    time.getDate() + { today: 0, tomorrow: 1, yesterday: -1 }[base]);
+                if (match[2]) {
+                    var count = parseInt(match[3], 10) * (match[2] == "-" ? -1 : 1);
+                    switch (match[4].toLowerCase()) {
+                        case "year": time.setFullYear(time.getFullYear() + count); break;
+                        case "month": time.setMonth(time.getMonth() + count); break;
+                        case "week": time.setDate(time.getDate() + count * 7); break;
+                        case "day": time.setDate(time.getDate() + count); break;
+                        case "hour": time.setHours(time.getHours() + count); break;
+                        case "minute": time.setMinutes(time.getMinutes() + count); break;
+                        case "second": time.setSeconds(time.getSeconds() + count); break;
+                    }
+                }
+            } else {
+                var value = GoodForm.Helpers.getValuesByName(bound);
+                return value == undefined ? null : GoodForm.Helpers.parseTimestamp(value, formats);
+            }
 
-            return GoodForm.Validate.Run();
+            // Dates lose their time of day, times their date
+            return type == "date"
+                ? new Date(time.getFullYear(), time.getMonth(), time.getDate())
+                : new Date(1970, 0, 1, time.getHours(), time.getMinutes(), time.getSeconds());
         },
 
         /*
-         * Runs a local validation silently. Returns true if valid, false if not.
+         * Returns true if a validation's +on+ option (a context name or an
+         * array of them) includes the given context (or any of an array of
+         * contexts).
          */
-        Local: function (name) {
-            for (var i = 0; v = GoodForm.local[name][i]; ++i)
-                if (v.validate(GoodForm.Helpers.getValuesByName(name)))
-                    return false;
-            return true;
+        inContext: function (on, context) {
+            on = [].concat(on), context = [].concat(context);
+            for (var i = 0, len = on.length; i < len; ++i)
+                for (var j = 0, count = context.length; j < count; ++j)
+                    if (context[j] != undefined && on[i] == context[j])
+                        return true;
+            return false;
         },
 
         /*
-         * Runs an ajax validation with the values populated in the queue.
+         * Returns the registry created for a form with GoodForm.form, if any.
          */
-        Remote: function () {
-            var params = [];
-            for (var name in GoodForm.Validate.queue) {
-                var values = [].concat(GoodForm.Validate.queue[name]);
-                for (var i = 0; value = values[i]; ++i)
-                    params.push(name + "=" + encodeURIComponent(value));
-            }
+        findRegistry: function (form) {
+            for (var i = 0, registry; registry = GoodForm.registries[i]; ++i)
+                if (registry.form == form)
+                    return registry;
+        },
 
-            if (params.length < 1) return false;
+        /*
+         * Returns true if the registry in use is the one that validates a
+         * form: its own (see GoodForm.form), or else the global one. Responses
+         * from other registries belong to other forms, even for a name the
+         * form shares.
+         */
+        inRegistryOf: function (form) {
+            return (GoodForm.Helpers.findRegistry(form) || null) == GoodForm.registry;
+        },
 
-            var t, loadingState;
-            try { t = new XMLHttpRequest(); } catch(e) {
-            try { t = new ActiveXObject('Msxml2.XMLHTTP'); } catch(e)
-                { t = new ActiveXObject('Microsoft.XMLHTTP'); }};
+        /*
+         * Returns an element given either the element or its ID.
+         */
+        extractElement: function (input) {
+            return input && input.constructor == String
+                ? document.getElementById(input) : input;
+        },
 
-            t.onreadystatechange = function () {
-                if (t.readyState == 4 && t.status >= 200 && t.status < 300) {
-                    eval("var json = " + t.responseText);
-                    for (var name in json)
-                        new GoodForm.Validate.Effect(name, json[name]);
-                } else if (!loadingState)
-                    for (var name in GoodForm.Validate.queue)
-                        new GoodForm.Validate.Effect(name); // No response: loading.
-            }
-
-            var baseUri = location.protocol + "//" + location.host + GoodForm.remotePath;
-            t.open("GET", baseUri + "?" + params.join("&"));
-            t.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
-            t.send(null);
-            return true;
+        /*
+         * Adds an event listener. Blur and focus are observed during the
+         * capture phase (or as focusout and focusin where attachEvent is all
+         * there is) so they can be delegated to a parent element.
+         */
+        observe: function (el, event, handler) {
+            if (el.addEventListener)
+                el.addEventListener(event, handler, /^(blur|focus)$/.test(event));
+            else
+                el.attachEvent("on" + GoodForm.Helpers.delegatedEvent(event), handler);
         },
 
         /*
-         * A GoodForm.Validate.Effect object is created whenever validation is
-         * run.
-         *
-         * By default, it looks for an element matching the form element's
-         * name, plus "_validation". E.g., for "phone_number" it would look for
-         * "phone_number_validation". If this element isn't found, it creates
-         * a span and inserts it into the DOM directly after the form element.
-         *
-         * Names are passed through GoodForm.Helpers.underscore to keep the DOM
-         * valid: "user[email]" becomes, therefore, "user_email_validation".
-         *
-         * Upon validation, this element is given a className of "valid",
-         * "error", or, during the loading phase of an Ajax request, "loading".
-         *
-         * Override this function to customize visual validation. It accepts
-         * two arguments:
-         *
-         *   - +name+ - The validated form item name.
-         *   - +response+ - The validation response. Invalid objects return an
-         *     array of error messages; valid objects return null or a preset
-         *     valid string.
+         * Removes an event listener added with GoodForm.Helpers.observe.
          */
-        Effect: function (name, response) {
-            if (el = GoodForm.Helpers.findOrCreateValidationSpan(name)) {
-                var status = GoodForm.Helpers.parseResponse(response);
-                el.className = "good_form " + status;
-                switch (status) {
-                    case ("loading"):
-                        el.innerHTML = GoodForm.loadingMessage;
-                        break;
-                    case ("valid"):
-                        el.innerHTML = response || GoodForm.validMessages[name] || GoodForm.validMessage;
-                        break;
-                    case ("error"):
-                        el.innerHTML = response.join(", ");
-                        break;
-                }
+        stopObserving: function (el, event, handler) {
+            if (el.removeEventListener)
+                el.removeEventListener(event, handler, /^(blur|focus)$/.test(event));
+            else
+                el.detachEvent("on" + GoodForm.Helpers.delegatedEvent(event), handler);
+        },
+
+        delegatedEvent: function (event) {
+            return { blur: "focusout", focus: "focusin" }[event] || event;
+        },
+
+        /*
+         * Returns a trigger strategy for GoodForm.attach: one of
+         * GoodForm.triggers by name, one built from an array of events, or
+         * the given strategy itself.
+         */
+        trigger: function (strategy) {
+            if (strategy.constructor == String) {
+                if (!GoodForm.triggers[strategy])
+                    throw new Error("GoodForm: unknown trigger " + strategy);
+                return GoodForm.triggers[strategy];
             }
+            if (strategy.constructor == Array) {
+                var events = {};
+                for (var i = 0, len = strategy.length; i < len; ++i) events[strategy[i]] = true;
+                return events;
+            }
+            return strategy;
         },
 
         /*
-         * Applies queued and local validation responses.
+         * Scrolls to and focuses the first element of a form, in document
+         * order, with an error in the form's registry (see GoodForm.errors).
+         * Returns the element.
          */
-        Run: function (options) {
-            var response, options = GoodForm.Helpers.extractOptions(options);
-            if (GoodForm.Validate.queue && !GoodForm.Validate.Remote())
-                for (var name in GoodForm.Validate.response) {
-                    response = GoodForm.Validate.response[name];
-                    if (!options.silent)
-                        new GoodForm.Validate.Effect(name, response);
+        focusFirstError: function (form) {
+            var errors = (GoodForm.Helpers.findRegistry(form) || GoodForm).Validate.errors;
+            for (var i = 0, el; el = form.elements[i]; ++i) // In document order
+                if (el.name && errors[el.name]) {
+                    if (el.scrollIntoView) el.scrollIntoView();
+                    if (el.focus) el.focus();
+                    return el;
                 }
+        },
 
-            GoodForm.Validate.queue = {};
-            return GoodForm.Helpers.parseResponse(response) == "valid";
-        }
-    },
+        /*
+         * Compares two elements by their position in the document, for
+         * Array.prototype.sort.
+         */
+        documentOrder: function (a, b) {
+            if (!a || !b || !a.compareDocumentPosition) return 0;
+            return a.compareDocumentPosition(b) & 2 ? 1 : -1;
+        },
 
-    Helpers: {
         /*
-         * Returns the last object out of an array of arguments. If no object
-         * exists, a new object is returned.
+         * Cancels an event's default action.
          */
-        extractOptions: function (input) {
-            if (input) {
-                if (input.constructor == Object)
-                    return input;
-                else if (input.constructor == Array) {
-                    var last = input[input.length - 1];
-                    if (last.constructor == Object)
-                        return input.pop();
-                }
-            }
-            return {};
+        stopEvent: function (event) {
+            if (event.preventDefault) event.preventDefault();
+            else event.returnValue = false;
         },
 
         extractName: function (input) {
             if (input.name)
                 return input.name;
-            else if (el = document.getElementById(input))
+            else if (typeof document != "undefined" && (el = document.getElementById(input)))
                 return el.name;
             else
                 return input;
         },
 
+        /*
+         * The default GoodForm.transport.send: sends a request with
+         * XMLHttpRequest and calls complete with its status and response text.
+         */
+        xhr: function (request, complete) {
+            var t;
+            try { t = new XMLHttpRequest(); } catch(e) {
+            try { t = new ActiveXObject('Msxml2.XMLHTTP'); } catch(e)
+                { t = new ActiveXObject('Microsoft.XMLHTTP'); }};
+
+            t.onreadystatechange = function () {
+                if (t.readyState == 4)
+                    complete(t.status, t.responseText);
+            }
+
+            t.open(request.method, request.url);
+            for (var header in request.headers)
+                t.setRequestHeader(header, request.headers[header]);
+            t.send(request.body);
+            return t;
+        },
+
+        /*
+         * Returns the Rails CSRF token from <meta name="csrf-token"/>, if any.
+         */
+        csrfToken: function () {
+            var metas = document.getElementsByTagName("meta");
+            for (var i = 0, meta; meta = metas[i]; ++i)
+                if (meta.name == "csrf-token")
+                    return meta.content;
+        },
+
+        /*
+         * Parses an Ajax validation response, which must be a JSON object.
+         */
+        parseJSON: function (text) {
+            var json = JSON.parse(text);
+            if (!json || json.constructor != Object)
+                throw new Error("GoodForm: expected a JSON object, got " + text);
+            return json;
+        },
+
         /*
          * Returns a validation span for GoodForm.Validate.Effect, creating a
          * new one if it does not exist.
          */
         findOrCreateValidationSpan: function(name) {
-            var id = GoodForm.Helpers.underscore(name) + "_validation";
-            if (vEl = document.getElementById(id)) return vEl;
+            var id = GoodForm.Helpers.validationSpanId(name);
+            if (vEl = document.getElementById(id)) {
+                if (!vEl.getAttribute("aria-live")) vEl.setAttribute("aria-live", "polite");
+                return vEl;
+            }
             vEl = document.createElement("span");
             vEl.id = id;
-            var fEls = document.getElementsByName(name);
+            vEl.setAttribute("aria-live", "polite");
+            vEl.setAttribute("data-good-form", "created");
+            var fEls = GoodForm.Helpers.getElementsByName(name);
             if (fEl = fEls[fEls.length - 1]) {
                 fEl.parentNode.insertBefore(vEl, fEl.nextSibling);
                 return vEl;
             }
         },
 
+        /*
+         * Returns the ID of the validation span for a form item name.
+         */
+        validationSpanId: function (name) {
+            var id = GoodForm.Helpers.underscore(name) + "_validation";
+            return GoodForm.registry ? GoodForm.registry.prefix + "_" + id : id;
+        },
+
+        /*
+         * Adds an ID to an element's aria-describedby attribute.
+         */
+        addDescription: function (el, id) {
+            var ids = el.getAttribute("aria-describedby") || "";
+            if ((" " + ids + " ").indexOf(" " + id + " ") < 0)
+                el.setAttribute("aria-describedby", (ids ? ids + " " : "") + id);
+        },
+
+        /*
+         * Removes an ID from an element's aria-describedby attribute.
+         */
+        removeDescription: function (el, id) {
+            var ids = (" " + (el.getAttribute("aria-describedby") || "") + " ")
+                .replace(" " + id + " ", " ").replace(/^\s+|\s+$/g, "");
+            if (ids)
+                el.setAttribute("aria-describedby", ids);
+            else
+                el.removeAttribute("aria-describedby");
+        },
+
+        /*
+         * Announces a message in an assertive live region (role="alert"), for
+         * assistive technology to read out at once. The region, with the ID
+         * "good_form_alert", is created at the end of the body and visually
+         * hidden.
+         */
+        announce: function (message) {
+            var el = document.getElementById("good_form_alert");
+            if (!el) {
+                el = document.createElement("div");
+                el.id = "good_form_alert";
+                el.setAttribute("role", "alert");
+                el.setAttribute("aria-live", "assertive");
+                el.style.cssText = "position: absolute; width: 1px; height: 1px; "
+                    + "overflow: hidden; clip: rect(0 0 0 0);";
+                document.body.appendChild(el);
+            }
+            el.innerHTML = "";
+            el.appendChild(document.createTextNode(message));
+        },
+
+        /*
+         * Returns an array of the elements for a form item name, scoped to a
+         * form (an element or ID). Defaults to the form of the registry in use
+         * (see GoodForm.form). Returns no elements while validating an object
+         * (see GoodForm.validateObject).
+         */
+        getElementsByName: function (name, form) {
+            if (GoodForm.values || typeof document == "undefined") return [];
+            var els = document.getElementsByName(name), scoped = [];
+            form = GoodForm.Helpers.extractElement(form)
+                || GoodForm.registry && GoodForm.registry.form;
+            for (var i = 0, el; el = els[i]; ++i)
+                if (!form || form == el.form)
+                    scoped.push(el);
+            return scoped;
+        },
+
         /*
          * Returns an array of values for a form item name. If only one value
          * is available, it will be returned in a string. No values will return
          * null.
          */
         getValuesByName: function (name, form) {
-            var els = document.getElementsByName(name), values = [];
-            if (form && form.constructor == String)
-                form = document.getElementById(form);
-            for (var i = 0, len = els.length; el = els[i]; ++i)
-                if (!form || form == el.form)
-                    if (el.checked || !/checkbox|radio/.test(el.type))
-                        values.push(el.value);
-                    else if (len == 1)
-                        values.push(""); // For the unchecked
+            if (GoodForm.values)
+                return GoodForm.Helpers.lookup(GoodForm.values, name);
+            var els = GoodForm.Helpers.getElementsByName(name, form), values = [];
+            for (var i = 0, len = els.length, el; el = els[i]; ++i)
+                if (el.checked || !/checkbox|radio/.test(el.type))
+                    values.push(el.value);
+                else if (len == 1)
+                    values.push(""); // For the unchecked
             return values.length > 1 ? values : values[0];
         },
 
+        /*
+         * Returns the files chosen for a form item name, or null without the
+         * File API. With GoodForm.values, the files are looked up there.
+         */
+        getFilesByName: function (name, form) {
+            var files = [];
+            if (GoodForm.values) {
+                var value = GoodForm.Helpers.lookup(GoodForm.values, name, true);
+                value = value == undefined ? [] : [].concat(value);
+                for (var i = 0, len = value.length; i < len; ++i)
+                    if (value[i] && value[i].size != undefined) files.push(value[i]);
+                return files;
+            }
+            var els = GoodForm.Helpers.getElementsByName(name, form);
+            for (var i = 0, el; el = els[i]; ++i) {
+                if (el.type != "file") continue;
+                if (!el.files) return null;
+                for (var j = 0, len = el.files.length; j < len; ++j)
+                    files.push(el.files[j]);
+            }
+            return files;
+        },
+
+        /*
+         * Returns the value for a form item name from a plain object, as
+         * getValuesByName would from the form: by the name itself, or by its
+         * path ("user[email]" looks for data.user.email). Missing and null
+         * values are blank, true and false are "1" and "" (like a checkbox),
+         * and numbers become strings, unless +raw+ is set.
+         */
+        lookup: function (data, name, raw) {
+            var value = data[name];
+            if (!(name in data)) {
+                var path = name.replace(/\]/g, "").split("[");
+                value = data;
+                for (var i = 0, len = path.length; i < len && value != undefined; ++i)
+                    if (path[i] != "") value = value[path[i]];
+            }
+            if (raw) return value;
+
+            var convert = function (value) {
+                if (value == undefined) return "";
+                if (value === true || value === false) return value ? "1" : "";
+                return String(value);
+            };
+            if (value && value.constructor == Array) {
+                var values = [];
+                for (var i = 0, len = value.length; i < len; ++i)
+                    values.push(convert(value[i]));
+                return values;
+            }
+            return convert(value);
+        },
+
         /*
          * Parses a response to see if a validation passed, failed, or is still
          * loading. Error messages come in an array. Valid messages are
@@ -769,6 +3421,53 @@ var GoodForm = {
                 return "valid";
         },
 
+        /*
+         * Returns the result of a validation from its responses, by name:
+         *
+         * - +valid+ - True if every response is valid
+         * - +pending+ - True if an Ajax validation has yet to respond
+         * - +errors+ - The error messages of each invalid name
+         * - +messages+ - The message each invalid name's validation span
+         *   shows
+         *
+         * Given the number of the last Ajax request sent before validating,
+         * names with an Ajax validation sent since are pending.
+         */
+        result: function (responses, requests) {
+            var result = { valid: true, pending: false, errors: {}, messages: {} };
+            if (requests != undefined) {
+                var copy = {};
+                for (var name in responses)
+                    copy[name] = responses[name];
+                for (var name in GoodForm.Validate.pending)
+                    if (GoodForm.Validate.pending[name] > requests) copy[name] = undefined;
+                responses = copy;
+            }
+            for (var name in responses)
+                switch (GoodForm.Helpers.parseResponse(responses[name])) {
+                    case ("loading"):
+                        result.valid = false, result.pending = true;
+                        break;
+                    case ("error"):
+                        result.valid = false;
+                        result.errors[name] = [].concat(responses[name]);
+                        result.messages[name] = GoodForm.Helpers.errorMessage(name, responses[name]);
+                }
+            return result;
+        },
+
+        /*
+         * Joins the error messages of a response as a validation span shows
+         * them: as full messages if GoodForm.fullMessages is set.
+         */
+        errorMessage: function (name, response) {
+            var messages = [].concat(response);
+            if (GoodForm.fullMessages)
+                for (var i = 0, len = messages.length; i < len; ++i)
+                    messages[i] = GoodForm.fullMessage(name, messages[i]);
+            return messages.join(", ");
+        },
+
         /*
          * Consolidates each set of invalid characters in a string to an
          * underscore. The string will retain alphanumerical start and end
@@ -788,6 +3487,11 @@ var GoodForm = {
  */
 GoodForm.Validates.Size = GoodForm.Validates.Length;
 
+/*
+ * The English catalog
+ */
+GoodForm.locales.en = GoodForm.defaultErrorMessages;
+
 /*
  * Top-level aliases
  */
@@ -795,3 +3499,11 @@ var Validates = GoodForm.Validates;
 var Validate = $V = GoodForm.Validate.Name;
 Validate.All = GoodForm.Validate.All;
 Validate.Local = GoodForm.Validate.Local;
+Validate.async = GoodForm.Validate.Async;
+Validate.All.async = GoodForm.Validate.AllAsync;
+
+/*
+ * CommonJS (and Node) export
+ */
+if (typeof module != "undefined" && module.exports)
+    module.exports = GoodForm;